@@ -48,19 +48,36 @@ Module.register("MMM-OpenWeatherForecast", {
   defaults: {
     debug: false,
     apiBaseURL: "https://api.openweathermap.org/data/3.0/onecall?",
-    apikey: "",
+    openweatherApiVersion: "auto", // "3.0" (One Call), "2.5" (free current + 5 day forecast) or "auto" to switch to 2.5 on a 401
+    apikeyRef: "OPENWEATHER_API_KEY", // environment variable or secrets.json entry holding the API key
+    apikey: "", // deprecated: a key set here is visible in the browser
+    airnowApikeyRef: "AIRNOW_API_KEY", // AirNow key for air quality with the "free" provider
     latitude: "",
     longitude: "",
-    weatherProvider: "openweather", // "openweather" or "free" (weather.gov + sunrise-sunset.org + EPA)
+    showLocationName: false, // show the name of the place above the current conditions
+    locationName: "", // label to show instead of the name looked up for the coordinates
+    location: "", // place to look up instead of latitude and longitude, e.g. "Springfield, IL"
+    postalCode: "", // postal code to look up instead of latitude and longitude
+    weatherProvider: "openweather", // "openweather", "free" (weather.gov + EPA), "openmeteo", or an ordered fallback list of these
     zipcode: "", // Required for UV index when using "free" provider
+    locations: [], // [{name, latitude, longitude, location, postalCode, weatherProvider, zipcode}, ...] to rotate through several locations
+    rotateInterval: 30000, // ms each location is shown when using locations
+    maxObservationAge: 90, // minutes; older station observations are replaced by forecast values ("free" provider)
     updateInterval: 10, // minutes
     requestDelay: 0,
+    dataFreshnessWindow: 60000, // ms; instances with the same location reuse data fetched this recently
+    dailyCallBudget: 1000, // OpenWeather calls per API key per UTC day; 0 disables the budget
     language: config.language,
     units: "metric",
-    displayKmhForWind: false,
+    unitOverrides: {}, // e.g. {wind: "km/h", pressure: "hPa"}; see the README for the units of each metric
+    tapToToggleUnits: false, // tap the current temperature to switch between metric and imperial
+    displayKmhForWind: false, // same as unitOverrides: {wind: "km/h"}
     concise: true,
     iconset: "1c",
     colored: true,
+    temperatureColors: false, // tint temperatures by value
+    temperaturePalette: "classic", // "classic", "colorblind" or "monochrome"
+    temperatureColorStops: null, // custom scale in your units, e.g. [[14, "#6f5cf5"], [50, "#7ce0b0"], [86, "#f55c5c"]]
     useAnimatedIcons: true,
     animateMainIconOnly: true,
     animatedIconStartDelay: 1000,
@@ -73,6 +90,7 @@ Module.register("MMM-OpenWeatherForecast", {
 
     showCurrentConditions: true,
     showExtraCurrentConditions: true,
+    showMinutelyForecast: false,
     showAlerts: true,
     compactAlerts: true,
     alertTextSize: 17,
@@ -86,17 +104,23 @@ Module.register("MMM-OpenWeatherForecast", {
       humidity: true,
       dewPoint: false,
       uvIndex: true,
-      visibility: false
+      visibility: false,
+      airQuality: false,
+      moonPhase: false,
+      twilight: false,
+      goldenHour: false,
+      dayLength: false
     },
 
     forecastHeaderText: "Forecast",
-    forecastLayout: "tiled",
+    forecastLayout: "tiled", // "tiled", "table" or "graph"
 
     showHourlyForecast: true,
     showHourlyTableHeaderRow: true,
     hourlyForecastTableHeaderText: "Hourly",
     hourlyForecastInterval: 3,
     maxHourliesToShow: 3,
+    hourlyGraphHours: 24, // hours charted with forecastLayout "graph" (up to 48)
     hourlyExtras: {
       precipitation: true,
       wind: true,
@@ -104,13 +128,15 @@ Module.register("MMM-OpenWeatherForecast", {
       humidity: false,
       dewPoint: false,
       uvIndex: false,
-      visibility: false
+      visibility: false,
+      airQuality: false
     },
 
     showDailyForecast: true,
     showDailyTableHeaderRow: true,
     dailyForecastTableHeaderText: "Daily",
     maxDailiesToShow: 3,
+    dailyForecastLayout: "auto", // "bars" for temperature range bars, "auto" follows forecastLayout
     dailyExtras: {
       precipitation: true,
       sunrise: false,
@@ -119,20 +145,31 @@ Module.register("MMM-OpenWeatherForecast", {
       barometricPressure: false,
       humidity: false,
       dewPoint: false,
-      uvIndex: false
+      uvIndex: false,
+      moonPhase: false,
+      twilight: false,
+      goldenHour: false,
+      dayLength: false
     },
 
     label_maximum: "max",
     label_high: "H",
+    label_today: "Today",
     label_low: "L",
     label_hourlyTimeFormat: "h a",
     label_sunriseTimeFormat: "h:mm a",
+    useLocationTimezone: false, // show times in the forecast location's timezone instead of the mirror's
     label_days: ["Sun", "Mon", "Tue", "Wed", "Thur", "Fri", "Sat"],
     label_ordinals: ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"]
   },
 
   validUnits: ["standard", "metric", "imperial"],
-  validLayouts: ["tiled", "table"],
+  validLayouts: ["tiled", "table", "graph"],
+  validDailyLayouts: ["auto", "bars"],
+  validTemperaturePalettes: ["classic", "colorblind", "monochrome"],
+
+  // Temperatures in °C of the built-in palettes' colors --temperature-color-0 to -5 (see the CSS)
+  temperaturePaletteStops: [-10, 0, 10, 20, 30, 40],
 
   // Staleness threshold: 30 minutes = 3x the default 10-minute poll interval.
   // Data is considered stale only after 3 consecutive failed polls, avoiding
@@ -140,7 +177,7 @@ Module.register("MMM-OpenWeatherForecast", {
   STALE_THRESHOLD_MS: 30 * 60 * 1000,
 
   getScripts () {
-    return ["moment.js", this.file("skycons.js")];
+    return ["moment.js", "moment-timezone.js", this.file("skycons.js")];
   },
 
   getStyles () {
@@ -160,11 +197,21 @@ Module.register("MMM-OpenWeatherForecast", {
    */
   getTemplateData () {
     const now = Date.now();
+    // Polling stopped by a used up call budget doesn't make old data any fresher
+    const expectedInterval = this.apiUsage?.exhausted
+      ? this.config.updateInterval * 60 * 1000
+      : this.pollIntervalMs;
     const isStale = this.lastSuccessTime &&
-                    (now - this.lastSuccessTime) > this.STALE_THRESHOLD_MS;
+                    (now - this.lastSuccessTime) > Math.max(this.STALE_THRESHOLD_MS, 3 * expectedInterval);
     const lastUpdateMinutesAgo = this.lastSuccessTime
       ? Math.round((now - this.lastSuccessTime) / 60000)
       : null;
+    let lastUpdateAgo = `${lastUpdateMinutesAgo} min`;
+    if (lastUpdateMinutesAgo >= 48 * 60) {
+      lastUpdateAgo = `${Math.round(lastUpdateMinutesAgo / 1440)} days`;
+    } else if (lastUpdateMinutesAgo >= 120) {
+      lastUpdateAgo = `${Math.round(lastUpdateMinutesAgo / 60)} h`;
+    }
 
     return {
       phrases: {
@@ -172,6 +219,7 @@ Module.register("MMM-OpenWeatherForecast", {
       },
       loading: this.formattedWeatherData === null,
       config: this.config,
+      temperatureColorProperties: this.getTemperatureColorProperties(),
       forecast: this.formattedWeatherData,
       inlineIcons: {
         rain: this.generateIconSrc("i-rain"),
@@ -182,21 +230,74 @@ Module.register("MMM-OpenWeatherForecast", {
         humidity: this.generateIconSrc("i-humidity"),
         dewPoint: this.generateIconSrc("i-dewpoint"),
         uvIndex: this.generateIconSrc("i-uvindex"),
-        visibility: this.generateIconSrc("i-visibility")
+        visibility: this.generateIconSrc("i-visibility"),
+        moonPhase: this.generateMoonIcon(0.25),
+        twilight: this.generateIconSrc("i-twilight"),
+        goldenHour: this.generateIconSrc("i-goldenhour"),
+        dayLength: this.generateIconSrc("i-daylength")
       },
       animatedIconSizes: {
         main: this.config.mainIconSize,
         forecast: this.config.forecastIconSize
       },
+      locationName: this.config.showLocationName || this.locationStates.length > 1
+        ? this.getLocationName(this.locationStates[this.currentLocationIndex])
+        : null,
       isStale: isStale,
-      lastUpdateMinutesAgo: lastUpdateMinutesAgo
+      lastUpdateMinutesAgo: lastUpdateMinutesAgo,
+      lastUpdateAgo: lastUpdateAgo,
+      providerLabel: this.getProviderLabel(),
+      usingFallbackProvider: Boolean(this.weatherData?.provider?.fallback),
+      capabilities: this.getProviderCapabilities(),
+      apiUsageWarning: this.getApiUsageWarning()
     };
   },
 
+  // Adopt the poll interval the helper worked out from the API call budget
+  updateApiUsage (apiUsage) {
+    this.apiUsage = apiUsage || null;
+    if (!this.apiUsage) {
+      return;
+    }
+    if (this.apiUsage.stretched) {
+      Log.warn(`[MMM-OpenWeatherForecast] ${this.apiUsage.calls}/${this.apiUsage.budget} OpenWeather calls used today, polling every ${Math.round(this.apiUsage.pollInterval / 60000)} min`);
+    }
+    this.pollIntervalMs = Math.max(this.config.updateInterval * 60 * 1000, this.apiUsage.pollInterval);
+  },
+
+  // Warning shown when polling was slowed down or stopped to stay within dailyCallBudget
+  getApiUsageWarning () {
+    const usage = this.apiUsage;
+    if (!usage) {
+      return null;
+    }
+    if (usage.exhausted) {
+      return `OpenWeather call budget used up (${usage.calls}/${usage.budget} today)`;
+    }
+    if (usage.stretched) {
+      return `${usage.calls}/${usage.budget} OpenWeather calls today, updating every ${Math.round(usage.pollInterval / 60000)} min`;
+    }
+    return null;
+  },
+
   start () {
     Log.info(`Starting module: ${this.name}`);
 
-    this.sendSocketNotification("CONFIG", this.config);
+    if (this.config.apikey) {
+      Log.warn("[MMM-OpenWeatherForecast] The apikey option is deprecated because it exposes the key to the browser. Put the key in secrets.json or the OPENWEATHER_API_KEY environment variable and remove apikey from the config.");
+    }
+
+    // A legacy apikey is only sent here, once; polls carry just the apikeyRef
+    this.sendSocketNotification("CONFIG", {...this.config, instanceId: this.identifier});
+
+    // Data and staleness of each location; weatherData and lastSuccessTime are those of the location shown
+    this.locationStates = this.getLocations().map((location) => ({
+      location,
+      weatherData: null,
+      lastSuccessTime: null,
+      locationName: null // looked up by the helper after the forecast was sent
+    }));
+    this.currentLocationIndex = 0;
 
     this.weatherData = null;
     this.iconCache = [];
@@ -206,6 +307,9 @@ Module.register("MMM-OpenWeatherForecast", {
     // Staleness tracking
     this.lastSuccessTime = null;
 
+    // API call budget, reported by the helper
+    this.apiUsage = null;
+
     // Modal state
     this.isModalOpen = false;
     this.modalElement = null;
@@ -250,17 +354,36 @@ Module.register("MMM-OpenWeatherForecast", {
     if (this.validUnits.indexOf(this.config.units) === -1) {
       this.config.units = "standard";
     }
+    this.config.unitOverrides = Object.fromEntries(Object.entries(this.config.unitOverrides || {}).filter(([metric, unit]) => {
+      if (this.unitConversions[metric]?.[unit]) {
+        return true;
+      }
+      Log.warn(`[MMM-OpenWeatherForecast] Ignoring unitOverrides ${metric}: "${unit}"`);
+      return false;
+    }));
+    // temperatureColorStops are written in the unit shown at startup, which setUnits can change
+    this.temperatureStopsUnit = this.getDisplayUnit("temperature");
     if (this.validLayouts.indexOf(this.config.forecastLayout) === -1) {
       this.config.forecastLayout = "tiled";
     }
+    if (this.validDailyLayouts.indexOf(this.config.dailyForecastLayout) === -1) {
+      this.config.dailyForecastLayout = "auto";
+    }
+    if (this.validTemperaturePalettes.indexOf(this.config.temperaturePalette) === -1) {
+      this.config.temperaturePalette = "classic";
+    }
     if (this.iconsets[this.config.iconset] === null) {
       this.config.iconset = "1c";
     }
     this.sanitizeNumbers([
       "updateInterval",
       "requestDelay",
+      "dataFreshnessWindow",
+      "dailyCallBudget",
+      "rotateInterval",
       "hourlyForecastInterval",
       "maxHourliesToShow",
+      "hourlyGraphHours",
       "maxDailiesToShow",
       "mainIconSize",
       "forecastIconSize",
@@ -274,11 +397,101 @@ Module.register("MMM-OpenWeatherForecast", {
     }
 
     this.startDataPoll();
+    if (this.locationStates.length > 1) {
+      this.startLocationRotation();
+    }
+  },
+
+  /*
+   * The locations to show. Without a locations list this is the single location set by
+   * latitude and longitude (or location or postalCode), weatherProvider and zipcode.
+   * Entries of the list only inherit weatherProvider.
+   */
+  getLocations () {
+    const defaults = {
+      name: "",
+      latitude: "",
+      longitude: "",
+      location: "",
+      postalCode: "",
+      weatherProvider: this.config.weatherProvider,
+      zipcode: ""
+    };
+    if (!Array.isArray(this.config.locations) || this.config.locations.length === 0) {
+      return [{
+        ...defaults,
+        name: this.config.locationName,
+        latitude: this.config.latitude,
+        longitude: this.config.longitude,
+        location: this.config.location,
+        postalCode: this.config.postalCode,
+        zipcode: this.config.zipcode
+      }];
+    }
+    return this.config.locations.map((location) => ({...defaults, ...location}));
+  },
+
+  // The configured name, else the name the helper found for the place looked up, else what was configured
+  getLocationName (state) {
+    const {location} = state;
+    return location.name ||
+      state.weatherData?.locationName ||
+      state.locationName ||
+      location.location ||
+      location.postalCode ||
+      `${location.latitude}, ${location.longitude}`;
+  },
+
+  startLocationRotation () {
+    const self = this;
+    setInterval(() => {
+      // Stay on the location whose details are open
+      if (self.isModalOpen) {
+        return;
+      }
+      self.showLocation((self.currentLocationIndex + 1) % self.locationStates.length);
+    }, this.config.rotateInterval);
+  },
+
+  // Display a location's latest data, when rotating to it or when new data for it arrives
+  showLocation (index) {
+    const state = this.locationStates[index];
+    this.currentLocationIndex = index;
+    this.weatherData = state.weatherData;
+    this.lastSuccessTime = state.lastSuccessTime;
+
+    // clear animated icon cache
+    if (this.config.useAnimatedIcons) {
+      this.clearIcons();
+    }
+
+    this.formattedWeatherData = this.weatherData
+      ? this.processWeatherData()
+      : null;
+
+    this.updateDom(this.config.updateFadeSpeed);
+
+    // Refresh modal content if open
+    if (this.isModalOpen) {
+      this._refreshModalContent();
+    }
+
+    // Provider capabilities decide whether the modal is available
+    this._attachClickHandler();
+
+    // start icon playback
+    if (this.config.useAnimatedIcons && this.formattedWeatherData) {
+      const self = this;
+      setTimeout(() => {
+        self.playIcons(self);
+      }, this.config.updateFadeSpeed + this.config.animatedIconStartDelay);
+    }
   },
 
   startDataPoll () {
     const self = this;
     const updateIntervalMs = this.config.updateInterval * 60 * 1000;
+    this.pollIntervalMs = updateIntervalMs; // stretched by the helper when the API call budget runs low
     this.lastUpdateTime = Date.now();
 
     setTimeout(() => {
@@ -289,8 +502,13 @@ Module.register("MMM-OpenWeatherForecast", {
         const now = Date.now();
         const timeSinceLastUpdate = now - self.lastUpdateTime;
 
+        // Skip polls while the interval is stretched to stay within the API call budget
+        if (timeSinceLastUpdate < self.pollIntervalMs - 2000) {
+          return;
+        }
+
         // Detect wake from sleep: if more time passed than expected interval + 2 second buffer
-        if (timeSinceLastUpdate > updateIntervalMs + 2000) {
+        if (timeSinceLastUpdate > self.pollIntervalMs + 2000) {
           Log.info("[MMM-OpenWeatherForecast] Wake detected, refreshing stale data");
         }
 
@@ -300,72 +518,149 @@ Module.register("MMM-OpenWeatherForecast", {
     }, this.config.requestDelay);
   },
 
+  // Request data for every location; the helper answers with the locationIndex
   getData () {
-    this.sendSocketNotification("OPENWEATHER_FORECAST_GET", {
-      apiBaseURL: this.config.apiBaseURL,
-      apikey: this.config.apikey,
-      latitude: this.config.latitude,
-      longitude: this.config.longitude,
-      units: this.config.units,
-      language: this.config.language,
-      instanceId: this.identifier,
-      requestDelay: this.config.requestDelay,
-      weatherProvider: this.config.weatherProvider,
-      zipcode: this.config.zipcode
+    this.locationStates.forEach((state, index) => {
+      this.sendSocketNotification("OPENWEATHER_FORECAST_GET", {
+        apiBaseURL: this.config.apiBaseURL,
+        openweatherApiVersion: this.config.openweatherApiVersion,
+        apikeyRef: this.config.apikeyRef,
+        latitude: state.location.latitude,
+        longitude: state.location.longitude,
+        location: state.location.location,
+        postalCode: state.location.postalCode,
+        locationLabel: state.location.name,
+        displayUnits: this.config.units, // for forecast text, the data itself is always metric
+        showLocationName: this.config.showLocationName || this.locationStates.length > 1,
+        language: this.config.language,
+        instanceId: this.identifier,
+        locationIndex: index,
+        requestDelay: this.config.requestDelay,
+        dataFreshnessWindow: this.config.dataFreshnessWindow,
+        hasData: state.weatherData !== null,
+        updateInterval: this.config.updateInterval,
+        dailyCallBudget: this.config.dailyCallBudget,
+        weatherProvider: state.location.weatherProvider,
+        zipcode: state.location.zipcode,
+        maxObservationAge: this.config.maxObservationAge,
+        airQuality: Boolean(this.config.extraCurrentConditions.airQuality || this.config.hourlyExtras.airQuality),
+        airnowApikeyRef: this.config.airnowApikeyRef
+      });
     });
   },
 
-  notificationReceived (notification, _payload, _sender) {
+  notificationReceived (notification, payload, _sender) {
     if (notification === "DOM_OBJECTS_CREATED") {
       this._attachClickHandler();
+      this._attachUnitsToggleHandler();
+    } else if (notification === "OPENWEATHER_FORECAST_SET_UNITS") {
+      this.setUnits(typeof payload === "string"
+        ? payload
+        : payload?.units);
     }
   },
 
+  /**
+   * Switch the displayed units. The data is always metric, so this only renders again.
+   * @param {string} units - "standard", "metric" or "imperial"
+   */
+  setUnits (units) {
+    if (this.validUnits.indexOf(units) === -1) {
+      Log.warn(`[MMM-OpenWeatherForecast] Ignoring invalid units "${units}"`);
+      return;
+    }
+    if (units === this.config.units) {
+      return;
+    }
+    this.config.units = units;
+    this.showLocation(this.currentLocationIndex);
+  },
+
+  // With tapToToggleUnits, a tap on the current temperature flips between metric and imperial
+  _attachUnitsToggleHandler () {
+    const contentEl = document.getElementById(this.identifier)?.querySelector(".module-content");
+    if (!contentEl || !this.config.tapToToggleUnits || this._unitsToggleHandler) {
+      return;
+    }
+
+    // The content element outlives updateDom, so one delegated handler is enough
+    this._unitsToggleHandler = (e) => {
+      if (e.target.closest(".current.temperature")) {
+        this.setUnits(this.config.units === "imperial"
+          ? "metric"
+          : "imperial");
+      }
+    };
+    contentEl.addEventListener("click", this._unitsToggleHandler);
+  },
+
   socketNotificationReceived (notification, payload) {
     if (notification === "OPENWEATHER_FORECAST_DATA" && payload.instanceId === this.identifier) {
+      const index = payload.locationIndex ?? 0;
+      const state = this.locationStates[index];
+      if (!state) {
+        return;
+      }
+
       if (payload.error) {
         // Handle error response - just log, backend already retried
         Log.error(`[MMM-OpenWeatherForecast] ${payload.errorType}: ${payload.errorMessage}`);
+        this.updateApiUsage(payload.apiUsage);
         // Keep showing last good data, staleness indicator will show via template
-        this.updateDom(this.config.updateFadeSpeed);
+        if (index === this.currentLocationIndex) {
+          this.updateDom(this.config.updateFadeSpeed);
+        }
       } else if (typeof payload.current !== "undefined") {
         // Success
-        if (this.lastSuccessTime === null) {
-          Log.info("[MMM-OpenWeatherForecast] Initial data received");
+        if (state.lastSuccessTime === null) {
+          Log.info(`[MMM-OpenWeatherForecast] Initial data received${payload.fromCache
+            ? " from cache"
+            : ""}${this.locationStates.length > 1
+            ? ` for ${this.getLocationName(state)}`
+            : ""}`);
         }
-        this.lastSuccessTime = Date.now();
+        const hadAlerts = (state.weatherData?.alerts || []).length > 0;
 
-        // clear animated icon cache
-        if (this.config.useAnimatedIcons) {
-          this.clearIcons();
-        }
+        // Cached data keeps its original timestamp so staleness is reported correctly
+        state.lastSuccessTime = payload.fetchedAt || Date.now();
+        state.weatherData = payload;
 
-        // process weather data
-        this.weatherData = payload;
-        this.formattedWeatherData = this.processWeatherData();
+        this.updateApiUsage(payload.apiUsage);
 
-        this.updateDom(this.config.updateFadeSpeed);
-
-        // Refresh modal content if open
-        if (this.isModalOpen) {
-          this._refreshModalContent();
+        if (index === this.currentLocationIndex) {
+          this.showLocation(index);
+        } else if (this.weatherData && (hadAlerts || (payload.alerts || []).length > 0)) {
+          // Alerts for other locations are shown too, so they must not wait for the rotation
+          this.showLocation(this.currentLocationIndex);
         }
 
-        // broadcast weather update (original format)
-        this.sendNotification("OPENWEATHER_FORECAST_WEATHER_UPDATE", payload);
-
-        // broadcast in MagicMirror default weather format for compatibility
-        const weatherUpdatedPayload = this.transformToWeatherUpdated(payload);
-        this.sendNotification("WEATHER_UPDATED", weatherUpdatedPayload);
-
-        // start icon playback
-        if (this.config.useAnimatedIcons) {
-          const self = this;
-          setTimeout(() => {
-            self.playIcons(self);
-          }, this.config.updateFadeSpeed + this.config.animatedIconStartDelay);
+        // Other modules expect a single location, so only the first one is broadcast
+        if (index === 0) {
+          // broadcast weather update (original format)
+          this.sendNotification("OPENWEATHER_FORECAST_WEATHER_UPDATE", payload);
+
+          // broadcast the precipitation nowcast for modules that want to react to it
+          const nowcast = this.getNowcast(payload);
+          if (nowcast) {
+            delete nowcast.bars;
+            this.sendNotification("OPENWEATHER_FORECAST_NOWCAST", nowcast);
+          }
+
+          // broadcast in MagicMirror default weather format for compatibility
+          const weatherUpdatedPayload = this.transformToWeatherUpdated(payload);
+          this.sendNotification("WEATHER_UPDATED", weatherUpdatedPayload);
         }
       }
+    } else if (notification === "OPENWEATHER_FORECAST_LOCATION_NAME" && payload.instanceId === this.identifier) {
+      const index = payload.locationIndex ?? 0;
+      const state = this.locationStates[index];
+      if (!state) {
+        return;
+      }
+      state.locationName = payload.locationName;
+      if (index === this.currentLocationIndex) {
+        this.updateDom(this.config.updateFadeSpeed);
+      }
     }
   },
 
@@ -378,11 +673,11 @@ Module.register("MMM-OpenWeatherForecast", {
     const summary = `${this.weatherData.current.weather[0].description.substring(0, 1).toUpperCase() + this.weatherData.current.weather[0].description.substring(1)}.`;
 
     const hourlies = [];
-    if (this.config.showHourlyForecast) {
+    if (this.config.showHourlyForecast && this.config.forecastLayout !== "graph") {
       let displayCounter = 0;
       let currentIndex = this.config.hourlyForecastInterval;
       while (displayCounter < this.config.maxHourliesToShow) {
-        if (this.weatherData.hourly[currentIndex] === null) {
+        if (!this.weatherData.hourly[currentIndex]) {
           break;
         }
 
@@ -398,8 +693,14 @@ Module.register("MMM-OpenWeatherForecast", {
 
     const dailies = [];
     if (this.config.showDailyForecast) {
-      for (let i = 1; i <= this.config.maxDailiesToShow; i++) {
-        if (this.weatherData.daily[i] === null) {
+      // Range bars start with today, which carries the current temperature
+      const showRangeBars = this.config.dailyForecastLayout === "bars";
+      const firstDay = showRangeBars
+        ? 0
+        : 1;
+      // Some providers (e.g. OpenWeather's free tier) have fewer days than maxDailiesToShow
+      for (let i = firstDay; i < firstDay + this.config.maxDailiesToShow && i < this.weatherData.daily.length; i++) {
+        if (!this.weatherData.daily[i]) {
           break;
         }
 
@@ -408,24 +709,28 @@ Module.register("MMM-OpenWeatherForecast", {
 
         dailies.push(this.forecastItemFactory(thisDay, "daily"));
       }
-    }
 
-    let alerts = [];
-    if (this.weatherData.alerts) {
-      alerts = this.weatherData.alerts;
+      if (showRangeBars && dailies.length > 0) {
+        dailies[0].day = this.config.label_today;
+        this.addRangeBars(dailies, this.weatherData.daily.slice(0, dailies.length));
+      }
     }
 
+    const alerts = this.getAllAlerts();
+
     const accumulation = this.calculateTodayPrecipitation();
 
-    const actualTemp = this.weatherData.current.temp;
-    const feelsLikeTemp = this.weatherData.current.feels_like ?? actualTemp;
+    const actualTemp = this.convertUnit("temperature", this.weatherData.current.temp);
+    const feelsLikeTemp = this.convertUnit("temperature", this.weatherData.current.feels_like ?? this.weatherData.current.temp);
     const tempDifference = Math.abs(actualTemp - feelsLikeTemp);
     const showFeelsLikeLine = this.config.showFeelsLike && tempDifference >= this.config.feelsLikeThreshold;
 
     return {
       currently: {
         temperature: `${Math.round(actualTemp)}°`,
+        temperatureColor: this.getTemperatureTint(actualTemp),
         feelsLike: `${Math.round(feelsLikeTemp)}°`,
+        feelsLikeColor: this.getTemperatureTint(feelsLikeTemp),
         showFeelsLikeLine,
         animatedIconId: this.config.useAnimatedIcons
           ? this.addIcon(this.iconMap[this.weatherData.current.weather[0].icon], true)
@@ -434,21 +739,240 @@ Module.register("MMM-OpenWeatherForecast", {
         tempRange: this.formatHiLowTemperature(this.weatherData.daily[0].temp.max, this.weatherData.daily[0].temp.min),
         precipitation: accumulation,
         wind: this.calculateTodayMaxWind(),
-        sunrise: moment(this.weatherData.current.sunrise * 1000).format(this.config.label_sunriseTimeFormat),
-        sunset: moment(this.weatherData.current.sunset * 1000).format(this.config.label_sunriseTimeFormat),
-        pressure: `${Math.round(this.weatherData.current.pressure / 10)} kPa`,
+        sunrise: this.getMoment(this.weatherData.current.sunrise).format(this.config.label_sunriseTimeFormat),
+        sunset: this.getMoment(this.weatherData.current.sunset).format(this.config.label_sunriseTimeFormat),
+        pressure: this.formatMeasurement("pressure", this.weatherData.current.pressure),
         humidity: `${Math.round(this.weatherData.current.humidity)}%`,
-        dewPoint: `${Math.round(this.weatherData.current.dew_point)}°`,
+        dewPoint: `${Math.round(this.convertUnit("temperature", this.weatherData.current.dew_point))}°`,
         uvIndex: this.calculateTodayMaxUV(),
-        visibility: `${Math.round(this.weatherData.current.visibility / 1000)} km`
+        visibility: this.formatMeasurement("visibility", this.weatherData.current.visibility),
+        airQuality: this.formatAirQuality(this.weatherData.current.air_quality),
+        observation: this.formatObservation(this.weatherData.current.observation),
+        moon: this.formatMoon(this.weatherData.daily[0]),
+        daylight: this.formatDaylight(this.weatherData.daily[0])
       },
       summary,
+      minutely: this.getNowcast(),
       hourly: hourlies,
+      hourlyGraph: this.config.showHourlyForecast && this.config.forecastLayout === "graph"
+        ? this.getHourlyGraph()
+        : null,
       daily: dailies,
       alerts
     };
   },
 
+  /*
+   * Builds the 60-minute precipitation nowcast from the minutely data:
+   * one bar segment per minute and a sentence such as
+   * "Light rain starting in 12 min, ending in 35 min".
+   * Returns null when the provider has no minutely data, or when too little of it is
+   * still ahead of us (e.g. data from the cache or an old fetch).
+   */
+  getNowcast (weatherData = this.weatherData) {
+    const now = Date.now();
+    const minutely = (weatherData.minutely || []).filter((minute) => minute.dt * 1000 > now);
+    if (minutely.length < 15) {
+      return null;
+    }
+
+    const minutesFromNow = (minute) => Math.max(0, Math.round((minute.dt * 1000 - now) / 60000));
+    const isWet = (minute) => minute.precipitation > 0;
+
+    // Intensities in mm/h, as used by OpenWeather's own precipitation descriptions
+    const intensityOf = (mmPerHour) => {
+      if (mmPerHour >= 7.6) {
+        return "heavy";
+      }
+      if (mmPerHour >= 2.5) {
+        return "moderate";
+      }
+      return "light";
+    };
+
+    const bars = minutely.map((minute) => ({
+      intensity: isWet(minute)
+        ? intensityOf(minute.precipitation)
+        : "none",
+      height: isWet(minute)
+        ? Math.max(10, Math.min(100, Math.round(minute.precipitation / 7.6 * 100)))
+        : 0
+    }));
+
+    const startIndex = minutely.findIndex(isWet);
+    if (startIndex === -1) {
+      return {
+        summary: "No precipitation expected in the next hour",
+        hasPrecipitation: false,
+        type: null,
+        intensity: null,
+        startsIn: null,
+        endsIn: null,
+        bars
+      };
+    }
+
+    const endOffset = minutely.slice(startIndex).findIndex((minute) => !isWet(minute));
+    const endIndex = endOffset === -1
+      ? null
+      : startIndex + endOffset;
+    const event = minutely.slice(startIndex, endIndex ?? minutely.length);
+    const intensity = intensityOf(Math.max(...event.map((minute) => minute.precipitation)));
+
+    // Rain or snow, going by the forecast for the hour the precipitation starts in
+    const startHour = weatherData.hourly?.find((hour) => hour.dt + 3600 > minutely[startIndex].dt);
+    const type = startHour && startHour.weather[0].main === "Snow"
+      ? "snow"
+      : "rain";
+
+    const startsIn = startIndex === 0
+      ? 0
+      : minutesFromNow(minutely[startIndex]);
+    const endsIn = endIndex === null
+      ? null
+      : minutesFromNow(minutely[endIndex]);
+
+    let summary = `${intensity.substring(0, 1).toUpperCase() + intensity.substring(1)} ${type}`;
+    if (startsIn > 0) {
+      summary += ` starting in ${startsIn} min`;
+      summary += endsIn === null
+        ? ""
+        : `, ending in ${endsIn} min`;
+    } else {
+      summary += endsIn === null
+        ? " for the next hour"
+        : ` ending in ${endsIn} min`;
+    }
+
+    return {
+      summary,
+      hasPrecipitation: true,
+      type,
+      intensity,
+      startsIn,
+      endsIn,
+      bars
+    };
+  },
+
+  /*
+   * Builds the SVG chart for forecastLayout "graph": the temperature of the next
+   * hourlyGraphHours hours as a line, the chance of precipitation as bars and the
+   * amount as shading behind them, on bands for the nights from the daily sunrise
+   * and sunset. Coordinates are in the 320 x 130 viewBox of the template's <svg>.
+   */
+  getHourlyGraph () {
+    const width = 320;
+    const height = 130;
+    const plotTop = 18;
+    const plotBottom = height - 18;
+    const plotHeight = plotBottom - plotTop;
+
+    const nowSec = Date.now() / 1000;
+    const hours = this.weatherData.hourly
+      .filter((hour) => hour.dt + 3600 > nowSec)
+      .slice(0, this.config.hourlyGraphHours);
+    if (hours.length < 2) {
+      return null;
+    }
+
+    const start = hours[0].dt;
+    const end = hours[hours.length - 1].dt + 3600;
+    const round = (value) => Math.round(value * 10) / 10;
+    const xAt = (time) => round((Math.min(Math.max(time, start), end) - start) / (end - start) * width);
+    const slotWidth = width / hours.length;
+
+    // Temperatures use the upper part of the plot, so the line stays clear of most bars
+    const temps = hours.map((hour) => this.convertUnit("temperature", hour.temp));
+    const maxTemp = Math.max(...temps);
+    const minTemp = Math.min(...temps);
+    const yAt = (temp) => round(maxTemp === minTemp
+      ? plotTop + plotHeight / 3
+      : plotTop + (maxTemp - temp) / (maxTemp - minTemp) * (plotHeight - 24));
+    const points = hours.map((hour, i) => ({
+      x: round((i + 0.5) * slotWidth),
+      y: yAt(temps[i])
+    }));
+
+    // Nights are whatever isn't between a sunrise and a sunset
+    const daylight = (this.weatherData.daily || [])
+      .map((day) => {
+        if (day.sunrise && day.sunset) {
+          return [day.sunrise, day.sunset];
+        }
+        return day.day_length >= 86400
+          ? [day.dt - 43200, day.dt + 43200]
+          : null;
+      })
+      .filter((interval) => interval !== null && interval[1] > start && interval[0] < end);
+    const nightBands = [];
+    let nightStart = start;
+    for (const [sunrise, sunset] of daylight) {
+      if (sunrise > nightStart) {
+        nightBands.push({x: xAt(nightStart), width: round(xAt(sunrise) - xAt(nightStart))});
+      }
+      nightStart = Math.max(nightStart, sunset);
+    }
+    if (nightStart < end) {
+      nightBands.push({x: xAt(nightStart), width: round(width - xAt(nightStart))});
+    }
+
+    // Full height is heavy precipitation (7.6 mm/h), as in the nowcast
+    const amountOf = (hour) => (hour.rain?.["1h"] ?? 0) + (hour.snow?.["1h"] ?? 0);
+    const amountHeight = (amount) => (amount > 0
+      ? Math.max(0.1, Math.min(1, amount / 7.6)) * plotHeight
+      : 0);
+    const amountPath = hours.some((hour) => amountOf(hour) > 0)
+      ? `M0,${plotBottom} ${hours.map((hour, i) => {
+        const y = round(plotBottom - amountHeight(amountOf(hour)));
+        return `L${round(i * slotWidth)},${y} L${round((i + 1) * slotWidth)},${y}`;
+      }).join(" ")} L${width},${plotBottom} Z`
+      : null;
+
+    const probabilityBars = hours
+      .map((hour, i) => ({
+        x: round(i * slotWidth + 1),
+        width: round(Math.max(slotWidth - 2, 1)),
+        height: round((hour.pop ?? 0) * plotHeight)
+      }))
+      .filter((bar) => bar.height > 0)
+      .map((bar) => ({...bar, y: round(plotBottom - bar.height)}));
+
+    const highIndex = temps.indexOf(maxTemp);
+    const lowIndex = temps.lastIndexOf(minTemp);
+    const annotation = (index, labelOffset) => ({
+      x: points[index].x,
+      y: points[index].y,
+      labelX: Math.min(Math.max(points[index].x, 12), width - 12),
+      labelY: points[index].y + labelOffset,
+      label: `${Math.round(temps[index])}°`,
+      color: this.getTemperatureTint(temps[index])
+    });
+
+    // A time label every 6 hours, away from the edges
+    const timeLabels = hours
+      .map((hour, i) => ({hour, x: points[i].x}))
+      .filter(({hour, x}) => this.getMoment(hour.dt).hour() % 6 === 0 && x > 15 && x < width - 15)
+      .map(({hour, x}) => ({x, label: this.getMoment(hour.dt).format(this.config.label_hourlyTimeFormat)}));
+
+    return {
+      width,
+      height,
+      plotTop,
+      plotBottom,
+      nightBands,
+      probabilityBars,
+      amountPath,
+      temperaturePoints: points.map((point) => `${point.x},${point.y}`).join(" "),
+      high: annotation(highIndex, -6),
+      low: maxTemp === minTemp
+        ? null
+        : annotation(lowIndex, 14),
+      nowX: xAt(nowSec),
+      timeLabels
+    };
+  },
+
   /*
    * Hourly and Daily forecast items are very similar.  So one routine builds the data
    * objects for both.
@@ -459,10 +983,10 @@ Module.register("MMM-OpenWeatherForecast", {
     // --------- Date / Time Display ---------
     if (type === "daily") {
       // day name (e.g.: "MON")
-      fItem.day = this.config.label_days[moment(fData.dt * 1000).format("d")];
+      fItem.day = this.config.label_days[this.getMoment(fData.dt).format("d")];
     } else { // hourly
       // time (e.g.: "5 PM")
-      fItem.time = moment(fData.dt * 1000).format(this.config.label_hourlyTimeFormat);
+      fItem.time = this.getMoment(fData.dt).format(this.config.label_hourlyTimeFormat);
     }
 
     // --------- Icon ---------
@@ -474,7 +998,9 @@ Module.register("MMM-OpenWeatherForecast", {
     // --------- Temperature ---------
 
     if (type === "hourly") {
-      fItem.temperature = `${Math.round(fData.temp)}°`;
+      const temp = this.convertUnit("temperature", fData.temp);
+      fItem.temperature = `${Math.round(temp)}°`;
+      fItem.temperatureColor = this.getTemperatureTint(temp);
     } else { // display High / Low temperatures
       fItem.tempRange = this.formatHiLowTemperature(fData.temp.max, fData.temp.min);
     }
@@ -500,67 +1026,231 @@ Module.register("MMM-OpenWeatherForecast", {
 
     // --------- Sunrise / Sunset -----------
     if (fData.sunrise) {
-      fItem.sunrise = moment(fData.sunrise * 1000).format(this.config.label_sunriseTimeFormat);
+      fItem.sunrise = this.getMoment(fData.sunrise).format(this.config.label_sunriseTimeFormat);
     }
     if (fData.sunset) {
-      fItem.sunset = moment(fData.sunset * 1000).format(this.config.label_sunriseTimeFormat);
+      fItem.sunset = this.getMoment(fData.sunset).format(this.config.label_sunriseTimeFormat);
     }
 
     // --------- Barometric Pressure -------------
-    fItem.pressure = `${Math.round(fData.pressure / 10)} kPa`;
+    fItem.pressure = this.formatMeasurement("pressure", fData.pressure);
 
     // --------- Humididty -------------
     fItem.humidity = `${Math.round(fData.humidity)}%`;
 
     // --------- Dew Point -------------
-    fItem.dewPoint = `${Math.round(fData.dew_point)}°`;
+    if (typeof fData.dew_point === "number") {
+      fItem.dewPoint = `${Math.round(this.convertUnit("temperature", fData.dew_point))}°`;
+    }
 
     // --------- UV Index -------------
-    fItem.uvIndex = Math.round(fData.uvi);
+    if (typeof fData.uvi === "number") {
+      fItem.uvIndex = this.formatUvIndex(fData.uvi, fData.uvi_source);
+    }
 
     // --------- Visibility -------------
     if (fData.visibility) {
-      fItem.visibility = `${Math.round(fData.visibility / 1000)} km`;
+      fItem.visibility = this.formatMeasurement("visibility", fData.visibility);
+    }
+
+    // --------- Air Quality -------------
+    fItem.airQuality = this.formatAirQuality(fData.air_quality);
+
+    // --------- Moon -------------
+    if (type === "daily") {
+      fItem.moon = this.formatMoon(fData);
+    }
+
+    // --------- Twilight / Golden Hour / Day Length -------------
+    if (type === "daily") {
+      fItem.daylight = this.formatDaylight(fData);
     }
 
     return fItem;
   },
 
+  /*
+   * Air quality as displayed: the US AQI number where the provider has one
+   * (AirNow), otherwise the level name (OpenWeather's 1-5 index). The level
+   * selects the color band.
+   */
+  formatAirQuality (airQuality) {
+    if (!airQuality) {
+      return null;
+    }
+    return {
+      value: airQuality.scale === "us-epa" && airQuality.aqi !== null
+        ? `AQI ${airQuality.aqi}`
+        : airQuality.label,
+      label: airQuality.label,
+      level: airQuality.level,
+      pollutant: airQuality.pollutant
+    };
+  },
+
+  /*
+   * Alerts of the location shown, followed by those of the other locations, which carry
+   * the location's name. A warning elsewhere stays on screen while another location is shown.
+   */
+  getAllAlerts () {
+    const alerts = [...this.weatherData.alerts || []];
+    this.locationStates.forEach((state, index) => {
+      if (index !== this.currentLocationIndex && state.weatherData?.alerts) {
+        const location = this.getLocationName(state);
+        alerts.push(...state.weatherData.alerts.map((alert) => ({...alert, location})));
+      }
+    });
+    return alerts;
+  },
+
+  /*
+   * A moment for a Unix timestamp. With useLocationTimezone it is in the forecast
+   * location's timezone: the IANA name where the provider has one, otherwise the
+   * UTC offset (OpenWeather 2.5). Every time and day name shown goes through here.
+   */
+  getMoment (ts) {
+    const time = moment(ts * 1000);
+    if (!this.config.useLocationTimezone || !this.weatherData) {
+      return time;
+    }
+    if (this.weatherData.timezone && moment.tz && moment.tz.zone(this.weatherData.timezone)) {
+      return time.tz(this.weatherData.timezone);
+    }
+    if (typeof this.weatherData.timezone_offset === "number") {
+      return time.utcOffset(this.weatherData.timezone_offset / 60);
+    }
+    return time;
+  },
+
+  // Station and time of the measured current conditions, when the provider has them
+  formatObservation (observation) {
+    if (!observation) {
+      return null;
+    }
+    return {
+      station: observation.station,
+      stationName: observation.stationName,
+      time: this.getMoment(observation.time).format(this.config.label_sunriseTimeFormat)
+    };
+  },
+
+  // Moon phase icon, name and rise / set times for a daily entry
+  formatMoon (day) {
+    if (typeof day.moon_phase !== "number") {
+      return null;
+    }
+    const formatTime = (ts) => (ts
+      ? this.getMoment(ts).format(this.config.label_sunriseTimeFormat)
+      : "–"); // 0: the moon doesn't rise or set that day
+    return {
+      name: this.getMoonPhaseName(day.moon_phase),
+      iconPath: this.generateMoonIcon(day.moon_phase),
+      rise: formatTime(day.moonrise),
+      set: formatTime(day.moonset)
+    };
+  },
+
+  /*
+   * Civil dawn and dusk, the morning and evening golden hour windows and the
+   * day length with its change since the day before, for a daily entry. The
+   * golden hour runs from sunrise until the sun is 6° up, and from when it
+   * drops below 6° until sunset.
+   */
+  formatDaylight (day) {
+    if (typeof day.day_length !== "number") {
+      return null;
+    }
+    const formatTime = (ts) => (ts
+      ? this.getMoment(ts).format(this.config.label_sunriseTimeFormat)
+      : "–"); // 0: the sun doesn't reach that altitude that day
+    const formatWindow = (start, end) => (start && end
+      ? `${formatTime(start)} – ${formatTime(end)}`
+      : "–");
+    return {
+      dawn: formatTime(day.civil_dawn),
+      dusk: formatTime(day.civil_dusk),
+      goldenHourMorning: formatWindow(day.sunrise, day.golden_hour_morning_end),
+      goldenHourEvening: formatWindow(day.golden_hour_evening_start, day.sunset),
+      dayLength: this.formatDayLength(day.day_length, day.day_length_change)
+    };
+  },
+
+  // e.g. "10h 42m (+2m)"
+  formatDayLength (seconds, changeSeconds) {
+    const minutes = Math.round(seconds / 60);
+    let text = `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    if (typeof changeSeconds === "number") {
+      const change = Math.round(changeSeconds / 60);
+      const sign = change < 0
+        ? "-"
+        : "+";
+      text += ` (${sign}${Math.abs(change)}m)`;
+    }
+    return text;
+  },
+
+  getMoonPhaseName (phase) {
+    if (phase < 0.03 || phase > 0.97) {
+      return "New Moon";
+    }
+    if (phase < 0.22) {
+      return "Waxing Crescent";
+    }
+    if (phase < 0.28) {
+      return "First Quarter";
+    }
+    if (phase < 0.47) {
+      return "Waxing Gibbous";
+    }
+    if (phase < 0.53) {
+      return "Full Moon";
+    }
+    if (phase < 0.72) {
+      return "Waning Gibbous";
+    }
+    if (phase < 0.78) {
+      return "Last Quarter";
+    }
+    return "Waning Crescent";
+  },
+
   // Returns total precipitation expected for today
   calculateTodayPrecipitation () {
-    const factor = this.config.units === "imperial"
-      ? 1 / 25.4
-      : 1;
     const daily = this.weatherData.daily[0];
-    const total = (daily.rain || 0) + (daily.snow || 0);
-    return `${Math.round(total * factor * 10) / 10} ${this.getUnit("accumulationRain")}`;
+    return this.formatMeasurement("precipitation", (daily.rain || 0) + (daily.snow || 0));
   },
 
   // Returns max wind speed and max gust expected for today
   calculateTodayMaxWind () {
-    const factor = this.config.units !== "imperial" && this.config.displayKmhForWind
-      ? 3.6
-      : 1;
     const daily = this.weatherData.daily[0];
     const speed = daily.wind_speed || 0;
     const gust = daily.wind_gust || 0;
     return {
-      windSpeed: `${Math.round(speed * factor)}`,
+      windSpeed: this.formatUnitValue("wind", speed),
       windGust: this.shouldShowGust(speed, gust)
-        ? `${Math.round(gust * factor)}`
+        ? this.formatUnitValue("wind", gust)
         : null,
-      windUnit: this.getUnit("windSpeed")
+      windUnit: this.getUnit("wind")
     };
   },
 
   // Returns max UV index expected for today
   calculateTodayMaxUV () {
-    return Math.round(this.weatherData.daily[0].uvi ?? 0);
+    return this.formatUvIndex(this.weatherData.daily[0].uvi ?? 0, this.weatherData.daily[0].uvi_source);
+  },
+
+  // Estimated values (uvi_source "model") are shown with a "~"
+  formatUvIndex (uvi, source) {
+    return source === "model"
+      ? `~${Math.round(uvi)}`
+      : Math.round(uvi);
   },
 
   // Returns a formatted data object for High / Low temperature range
   formatHiLowTemperature (highTemperature, lowTemperature) {
     // Handle null/undefined/NaN temperatures (e.g., high is null at nighttime when day has passed)
+    const high = this.convertUnit("temperature", highTemperature);
+    const low = this.convertUnit("temperature", lowTemperature);
     const formatTemp = (temp, label) => {
       if (temp === null || typeof temp === "undefined" || Number.isNaN(temp)) {
         return `${this.config.concise
@@ -573,29 +1263,113 @@ Module.register("MMM-OpenWeatherForecast", {
     };
 
     return {
-      high: formatTemp(highTemperature, this.config.label_high),
-      low: formatTemp(lowTemperature, this.config.label_low)
+      high: formatTemp(high, this.config.label_high),
+      low: formatTemp(low, this.config.label_low),
+      highColor: this.getTemperatureTint(high),
+      lowColor: this.getTemperatureTint(low)
     };
   },
 
+  /*
+   * For dailyForecastLayout "bars": places each day's low to high on a scale shared by
+   * all days shown and the current temperature, as percentages of the bar's track.
+   * Today's bar (the first) also gets a marker at the current temperature.
+   */
+  addRangeBars (dailies, days) {
+    const isTemp = (temp) => typeof temp === "number" && !Number.isNaN(temp);
+    const toDisplay = (temp) => this.convertUnit("temperature", temp);
+    const current = toDisplay(this.weatherData.current.temp);
+    const temps = days.flatMap((day) => [toDisplay(day.temp.min), toDisplay(day.temp.max)]).concat(current)
+      .filter(isTemp);
+    const scaleMin = Math.min(...temps);
+    const scaleMax = Math.max(...temps);
+    const percentAt = (temp) => (scaleMax === scaleMin
+      ? 50
+      : Math.round((temp - scaleMin) / (scaleMax - scaleMin) * 1000) / 10);
+
+    dailies.forEach((item, i) => {
+      // A day that is partly over may only have one of its temperatures
+      const low = isTemp(days[i].temp.min)
+        ? toDisplay(days[i].temp.min)
+        : toDisplay(days[i].temp.max);
+      const high = isTemp(days[i].temp.max)
+        ? toDisplay(days[i].temp.max)
+        : low;
+      if (!isTemp(low)) {
+        item.rangeBar = null;
+        return;
+      }
+
+      item.rangeBar = {
+        left: percentAt(low),
+        width: Math.round((percentAt(high) - percentAt(low)) * 10) / 10,
+        gradient: this.config.colored
+          ? `linear-gradient(to right, ${this.getTemperatureColor(low)}, ${this.getTemperatureColor(high)})`
+          : null,
+        marker: i === 0 && isTemp(current)
+          ? percentAt(current)
+          : null
+      };
+    });
+  },
+
+  /*
+   * Temperatures of the color scale's stops in the displayed unit: the custom
+   * temperatureColorStops, or the built-in palette's stops, converted from their unit.
+   */
+  getTemperatureStops () {
+    const custom = this.config.temperatureColorStops;
+    const {fromBase} = this.unitConversions.temperature[this.getDisplayUnit("temperature")];
+    if (Array.isArray(custom) && custom.length >= 2) {
+      // Temperature conversions are linear, so the stops' unit is undone by its offset and scale
+      const stopsFromBase = this.unitConversions.temperature[this.temperatureStopsUnit].fromBase;
+      const toBase = (temp) => (temp - stopsFromBase(0)) / (stopsFromBase(1) - stopsFromBase(0));
+      return custom.map(([temp]) => fromBase(toBase(temp)));
+    }
+    return this.temperaturePaletteStops.map(fromBase);
+  },
+
+  // The custom temperatureColorStops as --temperature-color-N properties for the wrapper's style
+  getTemperatureColorProperties () {
+    const custom = this.config.temperatureColorStops;
+    if (!Array.isArray(custom) || custom.length < 2) {
+      return null;
+    }
+    return custom.map(([, color], i) => `--temperature-color-${i}: ${color};`).join(" ");
+  },
+
+  /*
+   * CSS color for a temperature in the displayed unit, blended between the two
+   * nearest stops of the scale. The colors are the --temperature-color-N custom
+   * properties, so a theme can override them in CSS.
+   */
+  getTemperatureColor (temp) {
+    const stops = this.getTemperatureStops();
+    const upper = stops.findIndex((stop) => stop >= temp);
+    if (upper === 0) {
+      return "var(--temperature-color-0)";
+    }
+    if (upper === -1) {
+      return `var(--temperature-color-${stops.length - 1})`;
+    }
+    const percent = Math.round((temp - stops[upper - 1]) / (stops[upper] - stops[upper - 1]) * 100);
+    return `color-mix(in srgb, var(--temperature-color-${upper - 1}), var(--temperature-color-${upper}) ${percent}%)`;
+  },
+
+  // The color of a displayed temperature with temperatureColors, otherwise null
+  getTemperatureTint (temp) {
+    return this.config.temperatureColors && typeof temp === "number" && !Number.isNaN(temp)
+      ? this.getTemperatureColor(temp)
+      : null;
+  },
+
   // Returns a formatted data object for precipitation
   formatPrecipitation (percentChance, rainAccumulation, snowAccumulation) {
     let accumulation = null;
 
-    /*
-     * accumulation
-     * OpenWeather always returns precipitation in mm, convert to inches for imperial
-     */
+    // accumulation, rain if there is any, otherwise snow
     if (!this.config.concise && (rainAccumulation || snowAccumulation)) {
-      const conversionFactor = this.config.units === "imperial"
-        ? 1 / 25.4
-        : 1;
-
-      if (rainAccumulation) { // rain
-        accumulation = `${Math.round(rainAccumulation * conversionFactor * 10) / 10} ${this.getUnit("accumulationRain")}`;
-      } else if (snowAccumulation) { // snow
-        accumulation = `${Math.round(snowAccumulation * conversionFactor * 10) / 10} ${this.getUnit("accumulationSnow")}`;
-      }
+      accumulation = this.formatMeasurement("precipitation", rainAccumulation || snowAccumulation);
     }
 
     return {
@@ -608,21 +1382,16 @@ Module.register("MMM-OpenWeatherForecast", {
 
   // Returns a formatted data object for wind conditions
   formatWind (speed, bearing, gust) {
-    let conversionFactor = 1;
-    if (this.config.units !== "imperial" && this.config.displayKmhForWind) {
-      conversionFactor = 3.6;
-    }
-
     // wind gust - only show when significant per NWS standards
     let windGust = null;
     if (!this.config.concise && this.shouldShowGust(speed, gust)) {
-      windGust = `(G${Math.round(gust * conversionFactor)})`;
+      windGust = `(G${this.formatUnitValue("wind", gust)})`;
     }
 
     return {
-      windSpeed: `${Math.round(speed * conversionFactor)}`,
+      windSpeed: this.formatUnitValue("wind", speed),
       windGust,
-      windUnit: this.getUnit("windSpeed"),
+      windUnit: this.getUnit("wind"),
       windDirection: this.config.concise
         ? null
         : this.getOrdinal(bearing)
@@ -632,18 +1401,17 @@ Module.register("MMM-OpenWeatherForecast", {
   /**
    * Check if wind gust should be displayed based on NWS standards.
    * Gusts shown when: gust >= 18 mph AND (gust - speed) >= 10 mph
-   * @param {number} speed - Wind speed in API units (m/s for standard/metric, mph for imperial)
-   * @param {number} gust - Wind gust in API units (m/s for standard/metric, mph for imperial)
+   * @param {number} speed - Wind speed in m/s
+   * @param {number} gust - Wind gust in m/s
    * @returns {boolean} - Whether to display the gust
    */
   shouldShowGust (speed, gust) {
     if (!gust || gust <= 0) return false;
 
-    // Convert to mph for threshold comparison if not already in mph
-    const MS_TO_MPH = 2.237;
-    const toMph = this.config.units === "imperial" ? 1 : MS_TO_MPH;
-    const gustMph = gust * toMph;
-    const speedMph = speed * toMph;
+    // Convert to mph for threshold comparison
+    const toMph = this.unitConversions.wind.mph.fromBase;
+    const gustMph = toMph(gust);
+    const speedMph = toMph(speed);
 
     const MIN_GUST_MPH = 18; // Gust must be at least this fast
     const MIN_DIFFERENCE_MPH = 10; // Gust must exceed wind by this much
@@ -652,13 +1420,45 @@ Module.register("MMM-OpenWeatherForecast", {
   },
 
   /*
-   *Returns the units in use for the data pull from Dark Sky
+   * Unit conversion. The helper always fetches metric data, so values arrive in the base
+   * unit of their metric (°C, m/s, hPa, m, mm) and are converted to the unit they are
+   * displayed in at render time. Switching units never needs a new fetch.
    */
-  getUnit (metric) {
-    if (metric === "windSpeed" && this.config.units !== "imperial" && this.config.displayKmhForWind) {
+
+  // The unit a metric is displayed in: its unitOverrides entry, else the default for the units
+  getDisplayUnit (metric) {
+    if (this.config.unitOverrides[metric]) {
+      return this.config.unitOverrides[metric];
+    }
+    if (metric === "wind" && this.config.units !== "imperial" && this.config.displayKmhForWind) {
       return "km/h";
     }
-    return this.units[metric][this.config.units];
+    return this.defaultUnits[metric][this.config.units];
+  },
+
+  // A value from the data in the unit it is displayed in; null and undefined pass through
+  convertUnit (metric, value) {
+    if (value === null || typeof value === "undefined") {
+      return value;
+    }
+    return this.unitConversions[metric][this.getDisplayUnit(metric)].fromBase(value);
+  },
+
+  // A value from the data converted and rounded for display, without the unit
+  formatUnitValue (metric, value) {
+    const {decimals} = this.unitConversions[metric][this.getDisplayUnit(metric)];
+    const factor = 10 ** decimals;
+    return `${Math.round(this.convertUnit(metric, value) * factor) / factor}`;
+  },
+
+  // A value from the data converted and rounded for display, with its unit (e.g. "29.92 inHg")
+  formatMeasurement (metric, value) {
+    return `${this.formatUnitValue(metric, value)} ${this.getUnit(metric)}`;
+  },
+
+  // The label of the unit a metric is displayed in
+  getUnit (metric) {
+    return this.unitConversions[metric][this.getDisplayUnit(metric)].label;
   },
 
   /*
@@ -839,32 +1639,109 @@ Module.register("MMM-OpenWeatherForecast", {
       currentWeather: cur,
       forecastArray: (owData.daily || []).map((d) => this.createWeatherObject(d, "daily")),
       hourlyArray: (owData.hourly || []).map((h) => this.createWeatherObject(h, "hourly")),
-      locationName: `${owData.lat}, ${owData.lon}`,
-      providerName: this.config.weatherProvider === "free"
-        ? "weather.gov"
-        : "OpenWeather"
+      locationName: owData.locationName || `${owData.lat}, ${owData.lon}`,
+      providerName: owData.provider?.label || this.getProviderLabel()
+    };
+  },
+
+  /**
+   * Display name of the weather provider. Uses the label of the provider
+   * that actually served the data, falling back to the first configured one.
+   * @returns {string} - Provider display name
+   */
+  getProviderLabel () {
+    const primary = [].concat(this.config.weatherProvider)[0];
+    return this.weatherData?.provider?.label ||
+      this.providerNames[primary] ||
+      primary;
+  },
+
+  /**
+   * What the current provider can supply, as declared by its adapter in
+   * the node_helper. Until data arrives everything but the modal is assumed.
+   * @returns {Object} - {alerts, minutely, uv, detailedPeriods} booleans
+   */
+  getProviderCapabilities () {
+    return this.weatherData?.provider?.capabilities || {
+      alerts: true,
+      minutely: true,
+      uv: true,
+      detailedPeriods: false,
+      airQuality: true
     };
   },
 
+  // Display names for the supported weather providers
+  providerNames: {
+    openweather: "OpenWeather",
+    free: "weather.gov",
+    openmeteo: "Open-Meteo"
+  },
+
   /*
-   *Some display items need the unit beside them.  This returns the correct
-   *unit for the given metric based on the unit set in use.
+   *The unit each metric is displayed in for the unit set in use,
+   *unless unitOverrides says otherwise.
    */
-  units: {
-    accumulationRain: {
-      standard: "mm",
-      metric: "mm",
-      imperial: "in"
+  defaultUnits: {
+    temperature: {
+      standard: "K",
+      metric: "C",
+      imperial: "F"
+    },
+    wind: {
+      standard: "m/s",
+      metric: "m/s",
+      imperial: "mph"
     },
-    accumulationSnow: {
+    pressure: {
+      standard: "kPa",
+      metric: "kPa",
+      imperial: "inHg"
+    },
+    visibility: {
+      standard: "km",
+      metric: "km",
+      imperial: "mi"
+    },
+    precipitation: {
       standard: "mm",
       metric: "mm",
       imperial: "in"
+    }
+  },
+
+  /*
+   *The units each metric can be displayed in, with the conversion from the
+   *metric's base unit (°C, m/s, hPa, m and mm), the label and the decimals shown.
+   */
+  unitConversions: {
+    temperature: {
+      C: {fromBase: (celsius) => celsius, label: "°C", decimals: 0},
+      F: {fromBase: (celsius) => celsius * 9 / 5 + 32, label: "°F", decimals: 0},
+      K: {fromBase: (celsius) => celsius + 273.15, label: "K", decimals: 0}
     },
-    windSpeed: {
-      standard: "m/s",
-      metric: "m/s",
-      imperial: "mph"
+    wind: {
+      "m/s": {fromBase: (ms) => ms, label: "m/s", decimals: 0},
+      "km/h": {fromBase: (ms) => ms * 3.6, label: "km/h", decimals: 0},
+      mph: {fromBase: (ms) => ms * 2.23694, label: "mph", decimals: 0},
+      knots: {fromBase: (ms) => ms * 1.94384, label: "kn", decimals: 0},
+      // Lower limits of Beaufort forces 1 to 12 in m/s
+      beaufort: {fromBase: (ms) => [0.5, 1.6, 3.4, 5.5, 8, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7].filter((limit) => ms >= limit).length, label: "Bft", decimals: 0}
+    },
+    pressure: {
+      hPa: {fromBase: (hpa) => hpa, label: "hPa", decimals: 0},
+      kPa: {fromBase: (hpa) => hpa / 10, label: "kPa", decimals: 0},
+      inHg: {fromBase: (hpa) => hpa * 0.02953, label: "inHg", decimals: 2},
+      mmHg: {fromBase: (hpa) => hpa * 0.750062, label: "mmHg", decimals: 0}
+    },
+    visibility: {
+      km: {fromBase: (meters) => meters / 1000, label: "km", decimals: 0},
+      mi: {fromBase: (meters) => meters / 1609.344, label: "mi", decimals: 0}
+    },
+    precipitation: {
+      mm: {fromBase: (mm) => mm, label: "mm", decimals: 1},
+      cm: {fromBase: (mm) => mm / 10, label: "cm", decimals: 1},
+      in: {fromBase: (mm) => mm / 25.4, label: "in", decimals: 1}
     }
   },
 
@@ -966,6 +1843,30 @@ Module.register("MMM-OpenWeatherForecast", {
       icon}.${this.iconsets[this.config.iconset].format}`);
   },
 
+  /*
+   *The moon phase icon is drawn for the exact phase rather than
+   *picked from the iconset: a dark disc with the lit part on top.
+   *The lit part is bounded by a half circle on the sunlit side
+   *and by the terminator, a half ellipse whose width follows the
+   *phase.
+   */
+  generateMoonIcon (phase) {
+    const radius = 10;
+    const waxing = phase < 0.5;
+    const crescent = phase < 0.25 || phase > 0.75;
+    const terminatorWidth = Math.abs(Math.cos(2 * Math.PI * phase)) * radius;
+    const litColor = this.config.colored
+      ? "#FFFDC2"
+      : "#FFFFFF";
+    const litPath = `M12 2 A${radius} ${radius} 0 0 ${waxing
+      ? 1
+      : 0} 12 22 A${terminatorWidth.toFixed(2)} ${radius} 0 0 ${waxing === crescent
+      ? 0
+      : 1} 12 2 Z`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><circle cx="12" cy="12" r="${radius}" fill="#333"/><path d="${litPath}" fill="${litColor}"/></svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  },
+
   /*
    *When the Skycons animated set is in use, the icons need
    *to be rebuilt with each data refresh.  This routine clears
@@ -1039,24 +1940,29 @@ Module.register("MMM-OpenWeatherForecast", {
   /*
    * Modal Methods
    * These methods handle the detailed forecast/alerts modal popup.
-   * Only available when using the "free" weather provider.
+   * Only available when the provider supplies detailed forecast periods.
    */
 
   /**
    * Attach click handler to the module to open the modal.
-   * Only attaches if using the free provider.
+   * Only attaches if the provider declares detailedPeriods support,
+   * otherwise a previously attached handler is removed.
    */
   _attachClickHandler () {
-    if (this.config.weatherProvider !== "free") {
-      return; // Modal only available for free provider
-    }
-
     const moduleEl = document.getElementById(this.identifier);
     if (!moduleEl) {
       return;
     }
 
     const contentEl = moduleEl.querySelector(".module-content");
+    if (contentEl && !this.getProviderCapabilities().detailedPeriods) {
+      contentEl.style.cursor = "";
+      if (this._contentClickHandler) {
+        contentEl.removeEventListener("click", this._contentClickHandler);
+      }
+      return;
+    }
+
     if (contentEl) {
       contentEl.style.cursor = "pointer";
 
@@ -1064,6 +1970,10 @@ Module.register("MMM-OpenWeatherForecast", {
       if (!this._contentClickHandler) {
         this._contentClickHandler = (e) => {
           e.stopPropagation();
+          // The current temperature switches units instead
+          if (this.config.tapToToggleUnits && e.target.closest(".current.temperature")) {
+            return;
+          }
           this._openModal();
         };
       }
@@ -1277,7 +2187,9 @@ Module.register("MMM-OpenWeatherForecast", {
         tempClass = "period-temp-low";
       }
       tempDiv.className = `period-temp ${tempClass}`;
-      tempDiv.textContent = `${label}: ${period.temperature ?? "—"}°${period.temperatureUnit || ""}`;
+      tempDiv.textContent = `${label}: ${typeof period.temperature === "number"
+        ? `${this.formatUnitValue("temperature", period.temperature)}${this.getUnit("temperature")}`
+        : "—"}`;
       leftCol.appendChild(tempDiv);
 
       // Precipitation (only if >= 20%)
@@ -1317,7 +2229,7 @@ Module.register("MMM-OpenWeatherForecast", {
    * @returns {HTMLElement|null} The alerts section element, or null
    */
   _createAlertsSection () {
-    const alerts = this.weatherData.alerts || [];
+    const alerts = this.getAllAlerts();
 
     if (alerts.length === 0) {
       return null; // No alerts section if no alerts
@@ -1355,11 +2267,17 @@ Module.register("MMM-OpenWeatherForecast", {
 
       const alertTitle = document.createElement("div");
       alertTitle.className = "alert-title";
-      alertTitle.textContent = alert.event;
+      alertTitle.textContent = alert.location
+        ? `${alert.event} (${alert.location})`
+        : alert.event;
 
       const alertMeta = document.createElement("div");
       alertMeta.className = "alert-meta";
       alertMeta.textContent = `From: ${alert.sender_name}`;
+      if (alert.end) {
+        const end = this.getMoment(alert.end);
+        alertMeta.textContent += ` · Until ${this.config.label_days[end.format("d")]} ${end.format(this.config.label_sunriseTimeFormat)}`;
+      }
 
       const alertDesc = document.createElement("div");
       alertDesc.className = "alert-description";
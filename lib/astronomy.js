@@ -0,0 +1,288 @@
+/**
+ ********************************
+ *
+ *Astronomy calculations for MMM-OpenWeatherForecast.
+ *
+ *Low-precision sun and moon positions, good to a couple of minutes for
+ *sunrise and sunset and within several minutes for the moon. Used
+ *to calculate sun and moon times for any date and location without
+ *any network calls.
+ *Formulas follow the usual approximations from Jean Meeus,
+ *"Astronomical Algorithms", and the Astronomy Answers site
+ *(https://www.aa.quae.nl/en/reken/zonpositie.html).
+ *
+ ********************************
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397; // obliquity of the Earth's axis
+
+// Days since the J2000 epoch
+function toDays (date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function rightAscension (longitude, latitude) {
+  return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude));
+}
+
+function declination (longitude, latitude) {
+  return Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+function siderealTime (days, lw) {
+  return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+function altitude (hourAngle, phi, dec) {
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+}
+
+// Atmospheric refraction for an altitude in radians
+function refraction (h) {
+  const alt = Math.max(h, 0);
+  return 0.0002967 / Math.tan(alt + 0.00312536 / (alt + 0.08901179));
+}
+
+function solarMeanAnomaly (days) {
+  return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude (meanAnomaly) {
+  const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+  const perihelion = RAD * 102.9372;
+  return meanAnomaly + center + perihelion + Math.PI;
+}
+
+function sunCoords (days) {
+  const longitude = eclipticLongitude(solarMeanAnomaly(days));
+  return {
+    dec: declination(longitude, 0),
+    ra: rightAscension(longitude, 0),
+    dist: 149598000 // km
+  };
+}
+
+function moonCoords (days) {
+  const meanLongitude = RAD * (218.316 + 13.176396 * days);
+  const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+  const argumentOfLatitude = RAD * (93.272 + 13.229350 * days);
+
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+  const latitude = RAD * 5.128 * Math.sin(argumentOfLatitude);
+
+  return {
+    ra: rightAscension(longitude, latitude),
+    dec: declination(longitude, latitude),
+    dist: 385001 - 20905 * Math.cos(meanAnomaly) // km
+  };
+}
+
+// Julian date of the solar transit in the given Julian cycle
+function solarTransit (approxTransit, meanAnomaly, longitude) {
+  return J2000 + approxTransit + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+}
+
+function fromJulian (julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Sun times for the day around date: solar noon, sunrise and sunset, the end of the
+ * morning and the start of the evening golden hour (sun at 6°), and dawn and dusk for
+ * civil (-6°), nautical (-12°) and astronomical (-18°) twilight. Pass local noon to get
+ * the times of that local day. An event is null when the sun doesn't reach that altitude
+ * that day (midnight sun or polar night).
+ * @param {Date} date - A moment close to the solar noon of the day
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} Dates keyed by solarNoon, sunrise, sunset, goldenHourEnd, goldenHour,
+ *                   civilDawn, civilDusk, nauticalDawn, nauticalDusk, astronomicalDawn
+ *                   and astronomicalDusk, plus dayLength in seconds
+ */
+function getSunTimes (date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const cycle = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+
+  const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+  const meanAnomaly = solarMeanAnomaly(approxNoon);
+  const longitudeOfSun = eclipticLongitude(meanAnomaly);
+  const dec = declination(longitudeOfSun, 0);
+  const noon = solarTransit(approxNoon, meanAnomaly, longitudeOfSun);
+
+  // Times at which the sun's center passes the given altitude, symmetric around noon
+  const cosHourAngleAt = (altitudeDeg) => (Math.sin(altitudeDeg * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  const crossings = (altitudeDeg) => {
+    const cosHourAngle = cosHourAngleAt(altitudeDeg);
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+      return [null, null];
+    }
+    const hourAngle = Math.acos(cosHourAngle);
+    const set = solarTransit(J0 + (hourAngle + lw) / (2 * Math.PI) + cycle, meanAnomaly, longitudeOfSun);
+    return [fromJulian(noon - (set - noon)), fromJulian(set)];
+  };
+
+  const [sunrise, sunset] = crossings(-0.833); // upper limb on the horizon, with refraction
+  const [goldenHourEnd, goldenHour] = crossings(6);
+  const [civilDawn, civilDusk] = crossings(-6);
+  const [nauticalDawn, nauticalDusk] = crossings(-12);
+  const [astronomicalDawn, astronomicalDusk] = crossings(-18);
+
+  return {
+    solarNoon: fromJulian(noon),
+    sunrise,
+    sunset,
+    goldenHourEnd,
+    goldenHour,
+    civilDawn,
+    civilDusk,
+    nauticalDawn,
+    nauticalDusk,
+    astronomicalDawn,
+    astronomicalDusk,
+    dayLength: getDayLength(sunrise, sunset, cosHourAngleAt(-0.833))
+  };
+}
+
+// Seconds between sunrise and sunset, or the whole day or none of it when the sun doesn't set or rise
+function getDayLength (sunrise, sunset, cosHourAngle) {
+  if (sunrise && sunset) {
+    return Math.round((sunset - sunrise) / 1000);
+  }
+  return cosHourAngle < -1
+    ? 86400
+    : 0;
+}
+
+/**
+ * Elevation of the sun's center above the horizon, without refraction.
+ * @param {Date} date - The moment to calculate the elevation for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Elevation in degrees, negative when the sun is below the horizon
+ */
+function getSunAltitude (date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const days = toDays(date);
+  const sun = sunCoords(days);
+  return altitude(siderealTime(days, lw) - sun.ra, phi, sun.dec) / RAD;
+}
+
+// Altitude of the moon's center above the horizon in radians, corrected for refraction
+function getMoonAltitude (date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const days = toDays(date);
+  const moon = moonCoords(days);
+  const h = altitude(siderealTime(days, lw) - moon.ra, phi, moon.dec);
+  return h + refraction(h);
+}
+
+/**
+ * Moon phase in the OpenWeather convention: 0 and 1 are new moon,
+ * 0.25 first quarter, 0.5 full moon and 0.75 last quarter.
+ * @param {Date} date - The moment to calculate the phase for
+ * @returns {Object} {phase, fraction}; fraction is the illuminated part of the disc (0-1)
+ */
+function getMoonPhase (date) {
+  const days = toDays(date);
+  const sun = sunCoords(days);
+  const moon = moonCoords(days);
+
+  // Elongation of the moon from the sun, and the resulting phase angle
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const phaseAngle = Math.atan2(sun.dist * Math.sin(elongation), moon.dist - sun.dist * Math.cos(elongation));
+  // Position angle of the bright limb; negative while the moon is waxing
+  const limbAngle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra), Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+  return {
+    phase: 0.5 + 0.5 * phaseAngle * (limbAngle < 0
+      ? -1
+      : 1) / Math.PI,
+    fraction: (1 + Math.cos(phaseAngle)) / 2
+  };
+}
+
+/**
+ * Moonrise and moonset during the 24 hours from dayStart. The altitude is sampled
+ * every hour and a parabola is fitted through each three samples to find where it
+ * crosses the horizon. Either time is null when the moon doesn't rise or set that day.
+ * @param {Date} dayStart - Local midnight of the day
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} {rise, set} as Dates or null
+ */
+function getMoonTimes (dayStart, latitude, longitude) {
+  const horizon = 0.133 * RAD; // apparent radius and parallax of the moon
+  const altitudeAt = (hours) => getMoonAltitude(new Date(dayStart.valueOf() + hours * 3600000), latitude, longitude) - horizon;
+
+  let rise = null;
+  let set = null;
+  let h0 = altitudeAt(0);
+
+  for (let i = 1; i <= 24 && (rise === null || set === null); i += 2) {
+    const h1 = altitudeAt(i);
+    const h2 = altitudeAt(i + 1);
+
+    const a = (h0 + h2) / 2 - h1;
+    const b = (h2 - h0) / 2;
+    const xe = -b / (2 * a);
+    const ye = (a * xe + b) * xe + h1;
+    const discriminant = b * b - 4 * a * h1;
+
+    if (discriminant >= 0) {
+      const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+      let x1 = xe - dx;
+      const x2 = xe + dx;
+      let roots = 0;
+      if (Math.abs(x1) <= 1) {
+        roots++;
+      }
+      if (Math.abs(x2) <= 1) {
+        roots++;
+      }
+      if (x1 < -1) {
+        x1 = x2;
+      }
+
+      if (roots === 1) {
+        if (h0 < 0) {
+          rise ??= i + x1;
+        } else {
+          set ??= i + x1;
+        }
+      } else if (roots === 2) {
+        rise ??= i + (ye < 0
+          ? x2
+          : x1);
+        set ??= i + (ye < 0
+          ? x1
+          : x2);
+      }
+    }
+
+    h0 = h2;
+  }
+
+  const toDate = (hours) => (hours === null
+    ? null
+    : new Date(dayStart.valueOf() + hours * 3600000));
+
+  return {
+    rise: toDate(rise),
+    set: toDate(set)
+  };
+}
+
+module.exports = {
+  getSunTimes,
+  getSunAltitude,
+  getMoonPhase,
+  getMoonTimes
+};
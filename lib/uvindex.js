@@ -0,0 +1,78 @@
+/**
+ ********************************
+ *
+ *UV index model for MMM-OpenWeatherForecast.
+ *
+ *Estimates the UV index from the sun's elevation, a climatology of
+ *total ozone and the cloud cover, for forecasts that have no UV
+ *index of their own. Good to about ±1 under clear skies; clouds
+ *make it rougher, so values from the model should be shown as
+ *estimates.
+ *The clear-sky formula is from Madronich, "Analytic Formula for the
+ *Clear-sky UV Index" (Photochemistry and Photobiology, 2007), the ozone
+ *climatology from Van Heuklon, "Estimating atmospheric ozone for solar
+ *radiation models" (Solar Energy, 1979), and the cloud factor from
+ *Kasten and Czeplak (Solar Energy, 1980).
+ *
+ ********************************
+ */
+
+const moment = require("moment-timezone");
+const astronomy = require("./astronomy");
+
+const RAD = Math.PI / 180;
+
+// Van Heuklon coefficients for the northern and southern hemispheres
+const OZONE_NORTH = {A: 150, beta: 1.28, C: 40, F: -30, G: 20, H: 3, I: 20};
+const OZONE_SOUTH = {A: 100, beta: 1.5, C: 30, F: 152.625, G: 20, H: 2, I: -75};
+
+// Total column ozone in Dobson units
+function getOzone (date, latitude, longitude) {
+  const c = latitude >= 0
+    ? OZONE_NORTH
+    : OZONE_SOUTH;
+  const dayOfYear = moment.utc(date).dayOfYear();
+  // The longitude term is only shifted east of Greenwich in the north
+  const shift = latitude >= 0 && longitude <= 0
+    ? 0
+    : c.I;
+  const amplitude = c.A + c.C * Math.sin(0.9865 * (dayOfYear + c.F) * RAD) + c.G * Math.sin(c.H * (longitude + shift) * RAD);
+  return 235 + amplitude * Math.sin(c.beta * latitude * RAD) ** 2;
+}
+
+/**
+ * Clear-sky UV index: 12.5 μ0^2.42 (Ω / 300)^-1.23, where μ0 is the cosine of the
+ * solar zenith angle and Ω the total ozone, plus 6% for every kilometer of elevation.
+ * @param {Date} date - The moment to calculate the UV index for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} elevation - Elevation in meters
+ * @returns {number} The UV index, 0 while the sun is down
+ */
+function getClearSkyUvi (date, latitude, longitude, elevation = 0) {
+  const mu0 = Math.sin(astronomy.getSunAltitude(date, latitude, longitude) * RAD);
+  if (mu0 <= 0) {
+    return 0;
+  }
+  const ozone = getOzone(date, latitude, longitude);
+  return 12.5 * mu0 ** 2.42 * (ozone / 300) ** -1.23 * (1 + 0.06 * Math.max(elevation, 0) / 1000);
+}
+
+/**
+ * UV index under the given cloud cover.
+ * @param {Date} date - The moment to calculate the UV index for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} cloudCover - Sky cover in percent
+ * @param {number} elevation - Elevation in meters
+ * @returns {number} The UV index
+ */
+function getUvi (date, latitude, longitude, cloudCover = 0, elevation = 0) {
+  const cloudFactor = 1 - 0.75 * (Math.min(Math.max(cloudCover, 0), 100) / 100) ** 3.4;
+  return getClearSkyUvi(date, latitude, longitude, elevation) * cloudFactor;
+}
+
+module.exports = {
+  getClearSkyUvi,
+  getUvi
+};
@@ -1,1193 +1,650 @@
- 
-
 /**
  ********************************
  *
  *Node Helper for MMM-OpenWeatherForecast.
  *
  *This helper is responsible for the data pull from weather APIs.
- *Supports two providers:
+ *The actual fetching is done by provider adapters loaded from the
+ *providers/ directory. Bundled providers:
  *  - "openweather": OpenWeather One Call API 3.0 (requires API key)
- *  - "free": weather.gov + sunrise-sunset.org + EPA (no API key required, US only)
+ *  - "free": weather.gov + EPA, with sunrise and sunset calculated in lib/astronomy.js (no API key required, US only)
+ *  - "openmeteo": Open-Meteo forecast API (no API key required, global)
+ *
+ *A provider module exports an object with:
+ *  - name: the value users put in the weatherProvider config option
+ *  - label: display name used for attribution
+ *  - capabilities: {alerts, minutely, uv, detailedPeriods, airQuality} booleans
+ *  - fetch(payload): async, resolves to the normalized One Call-shaped
+ *    data ({lat, lon, timezone, current, hourly, daily, alerts, ...})
+ *    in metric units (°C, m/s, hPa, meters and mm)
+ *    and throws an error created with providerError() on failure
+ *The helper is available to the provider as this.helper.
  *
  *At a minimum the Latitude and Longitude parameters must be provided.
- *For OpenWeather, an API key is also required.
- *For the free provider, a ZIP code is required for UV index data.
  *
  ********************************
  */
 
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
 const Log = require("logger");
 const NodeHelper = require("node_helper");
 const moment = require("moment-timezone");
+const astronomy = require("./lib/astronomy");
 
 module.exports = NodeHelper.create({
 
   start () {
     Log.log(`Starting node_helper for: ${this.name}`);
-    this.gridPointCache = {}; // Cache grid coordinates by lat,lon
-  },
-
-  // Send error notification to frontend
-  sendError (instanceId, errorType, message) {
-    this.sendSocketNotification("OPENWEATHER_FORECAST_DATA", {
-      instanceId,
-      error: true,
-      errorType, // "config", "network", "api"
-      errorMessage: message
-    });
-  },
-
-  // Delay helper for retry logic
-  delay (ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  },
-
-  // Fetch with retry for transient errors (5xx, network failures)
-  async fetchWithRetry (url, options = {}, maxRetries = 2, delayMs = 15000) {
-    let lastError;
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await fetch(url, options);
-        if (response.ok) {
-          return response;
-        }
-        // Retry on 5xx errors
-        if (response.status >= 500 && attempt < maxRetries) {
-          Log.warn(`[MMM-OpenWeatherForecast] Got ${response.status}, retrying in ${delayMs / 1000}s... (attempt ${attempt + 1}/${maxRetries})`);
-          await this.delay(delayMs);
-          continue;
-        }
-        return response; // Return 4xx errors without retry
-      } catch (error) {
-        lastError = error;
-        if (attempt < maxRetries) {
-          Log.warn(`[MMM-OpenWeatherForecast] Network error: ${error.message || error}, retrying in ${delayMs / 1000}s... (attempt ${attempt + 1}/${maxRetries})`);
-          await this.delay(delayMs);
-          continue;
-        }
-      }
-    }
-    throw lastError;
-  },
-
-  // Unit conversion helpers
-  convertTemp (celsius, targetUnits) {
-    if (celsius === null) {
-      return null;
-    }
-    if (targetUnits === "imperial") {
-      return celsius * 9 / 5 + 32;
-    }
-    if (targetUnits === "standard") {
-      return celsius + 273.15;
-    }
-    return celsius; // metric
+    this.cacheFile = path.join(__dirname, ".cache", "forecast-cache.json");
+    this.diskCache = this.loadCache();
+    this.cacheSave = Promise.resolve(); // The last cache write, which the next one waits for
+    this.queuedCacheSave = null;
+    this.gridPointCache = this.diskCache.gridPoints; // Cache grid coordinates by lat,lon
+    this.sharedRequests = {}; // In-flight and recent fetches by request key, shared across instances
+    this.apiPollers = {}; // Hashed API key and each instance's poll interval, by request key
+    this.legacyApiKeys = {}; // apikey set in the config, by instance
+    this.reverseGeocodeRetryAt = {}; // When a failed place name lookup may be tried again, by cache key
+    this.providers = this.loadProviders(path.join(__dirname, "providers"));
+    this.secretsFile = path.join(__dirname, "secrets.json");
   },
 
-  convertSpeed (kmh, targetUnits) {
-    if (kmh === null) {
-      return null;
-    }
-    if (targetUnits === "imperial") {
-      return kmh * 0.621371; // km/h to mph
-    }
-    // metric and standard both use m/s
-    return kmh * 0.277778;
-  },
-
-  async socketNotificationReceived (notification, payload) {
-    if (notification === "OPENWEATHER_FORECAST_GET") {
-      if (payload.latitude === null || payload.latitude === "" || payload.longitude === null || payload.longitude === "") {
-        Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** Latitude and/or longitude not provided.`);
-        this.sendError(payload.instanceId, "config", "Latitude and/or longitude not provided");
-        return;
-      }
-
-      if (payload.weatherProvider === "free") {
-        await this.fetchFreeProviderData(payload);
-      } else {
-        await this.fetchOpenWeatherData(payload);
-      }
-    } else if (notification === "CONFIG") {
-      this.config = payload;
+  /**
+   * Resolve the API key on the server so it never has to be sent to the browser.
+   * The apikeyRef names an environment variable or an entry in secrets.json in the
+   * module directory. A key set directly in the config (legacy), which the instance sent
+   * once with its CONFIG, still takes precedence.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {string} The API key, or "" if none was found
+   */
+  resolveApiKey (payload) {
+    if (this.legacyApiKeys[payload.instanceId]) {
+      return this.legacyApiKeys[payload.instanceId];
     }
+    return this.resolveSecret(payload.apikeyRef);
   },
 
-  // OpenWeather provider (existing functionality)
-  async fetchOpenWeatherData (payload) {
-    if (payload.apikey === null || payload.apikey === "") {
-      Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** No API key configured. Get an API key at https://openweathermap.org/`);
-      this.sendError(payload.instanceId, "config", "No API key configured");
-      return;
+  // Look up a secret by name in the environment, then in secrets.json
+  resolveSecret (ref) {
+    if (!ref) {
+      return "";
     }
-
-    const url = `${payload.apiBaseURL
-    }lat=${payload.latitude
-    }&lon=${payload.longitude
-    }&exclude=minutely` +
-    `&appid=${payload.apikey
-    }&units=${payload.units
-    }&lang=${payload.language}`;
-
-    if (typeof this.config !== "undefined") {
-      Log.debug(`[MMM-OpenWeatherForecast] Fetching OpenWeather url: ${url}`);
+    if (process.env[ref]) {
+      return process.env[ref];
     }
 
     try {
-      const response = await this.fetchWithRetry(url);
-
-      if (!response.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] OpenWeather API error: ${response.status} ${response.statusText}`);
-        this.sendError(payload.instanceId, "api", `OpenWeather API error: ${response.status}`);
-        return;
-      }
-
-      const data = await response.json();
-
-      if (typeof data !== "undefined") {
-        data.instanceId = payload.instanceId;
-        this.sendSocketNotification("OPENWEATHER_FORECAST_DATA", data);
+      if (fs.existsSync(this.secretsFile)) {
+        const secrets = JSON.parse(fs.readFileSync(this.secretsFile, "utf8"));
+        return secrets[ref] || "";
       }
     } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** ${error}\n${error.stack}`);
-      this.sendError(payload.instanceId, "network", error.message || String(error));
+      Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** Could not read ${this.secretsFile}: ${error.message}`);
     }
+    return "";
   },
 
-  // Free provider (weather.gov + sunrise-sunset.org + EPA)
-  async fetchFreeProviderData (payload) {
-    const {latitude, longitude, zipcode, units, instanceId} = payload;
-
+  /**
+   * Load the on-disk cache with the last good data per request key, the
+   * weather.gov grid lookups and the geocoded places, so they survive a
+   * MagicMirror restart. Also holds the daily API call counts.
+   * @returns {Object} {forecasts, gridPoints, geocodes, apiUsage}
+   */
+  loadCache () {
+    const cache = {forecasts: {}, gridPoints: {}, geocodes: {}, apiUsage: {}};
     try {
-      Log.info("[MMM-OpenWeatherForecast] Fetching from free providers (weather.gov, sunrise-sunset.org, EPA)");
-
-      // First: fetch gridData (this caches grid coordinates needed for forecast)
-      const gridData = await this.fetchWeatherGovData(latitude, longitude);
-
-      if (!gridData) {
-        Log.error("[MMM-OpenWeatherForecast] Failed to fetch weather.gov data");
-        this.sendError(instanceId, "api", "Failed to fetch weather.gov data");
-        return;
+      if (fs.existsSync(this.cacheFile)) {
+        Object.assign(cache, JSON.parse(fs.readFileSync(this.cacheFile, "utf8")));
+        Log.info(`[MMM-OpenWeatherForecast] Loaded cached data for ${Object.keys(cache.forecasts).length} location(s)`);
       }
-
-      // Now fetch forecast and other data in parallel (grid info is cached)
-      const [forecastData, hourlyForecastData, sunData, uvData, alertsData] = await Promise.all([
-        this.fetchWeatherGovForecast(latitude, longitude, units),
-        this.fetchWeatherGovHourlyForecast(latitude, longitude),
-        this.fetchSunriseSunsetData(latitude, longitude),
-        zipcode
-          ? this.fetchEpaUvData(zipcode)
-          : Promise.resolve(null),
-        this.fetchWeatherGovAlerts(latitude, longitude)
-      ]);
-
-      // Transform to OpenWeather format
-      const data = this.transformFreeDataToOpenWeatherFormat(gridData, forecastData, hourlyForecastData, sunData, uvData, alertsData, units, latitude, longitude);
-
-      data.instanceId = instanceId;
-      this.sendSocketNotification("OPENWEATHER_FORECAST_DATA", data);
     } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** ${error}\n${error.stack}`);
-      this.sendError(instanceId, "network", error.message || String(error));
+      Log.warn(`[MMM-OpenWeatherForecast] Ignoring unreadable cache file ${this.cacheFile}: ${error.message}`);
     }
+    return cache;
   },
 
-  // Fetch weather.gov grid data
-  async fetchWeatherGovData (latitude, longitude) {
-    const cacheKey = `${latitude},${longitude}`;
-    const userAgent = "MMM-OpenWeatherForecast MagicMirror Module";
-
-    try {
-      // Get grid coordinates (cached)
-      let gridInfo = this.gridPointCache[cacheKey];
-      if (!gridInfo) {
-        const pointsUrl = `https://api.weather.gov/points/${latitude},${longitude}`;
-        const pointsResponse = await this.fetchWithRetry(pointsUrl, {
-          cache: "no-store",
-          headers: {
-            "User-Agent": userAgent,
-            Accept: `application/geo+json;v=${Date.now()}`
-          }
-        });
-
-        if (!pointsResponse.ok) {
-          Log.error(`[MMM-OpenWeatherForecast] weather.gov points API error: ${pointsResponse.status}`);
-          return null;
-        }
-
-        const pointsData = await pointsResponse.json();
-        gridInfo = {
-          office: pointsData.properties.gridId,
-          gridX: pointsData.properties.gridX,
-          gridY: pointsData.properties.gridY
-        };
-        this.gridPointCache[cacheKey] = gridInfo;
-        Log.info(`[MMM-OpenWeatherForecast] Cached grid info: ${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}`);
-      }
-
-      // Fetch raw gridpoint data
-      const gridUrl = `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}`;
-      const gridResponse = await this.fetchWithRetry(gridUrl, {
-        cache: "no-store",
-        headers: {
-          "User-Agent": userAgent,
-          Accept: `application/geo+json;v=${Date.now()}`
-        }
+  /*
+   * Write the cache to disk. Writes run one at a time, and saves asked for while one is
+   * waiting its turn share it, since it writes the cache as it is when it starts.
+   */
+  saveCache () {
+    if (!this.queuedCacheSave) {
+      this.queuedCacheSave = this.cacheSave.then(() => {
+        this.queuedCacheSave = null;
+        return this.writeCache();
       });
-
-      if (!gridResponse.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] weather.gov gridpoints API error: ${gridResponse.status}`);
-        return null;
-      }
-
-      return await gridResponse.json();
-    } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] weather.gov fetch error: ${error}`);
-      return null;
+      this.cacheSave = this.queuedCacheSave;
     }
+    return this.queuedCacheSave;
   },
 
-  // Fetch sunrise/sunset data
-  async fetchSunriseSunsetData (latitude, longitude) {
+  // Write to a temporary file and rename it, so the cache file is never half written.
+  // Failures only cost us the cache, so they are just logged
+  async writeCache () {
+    const tempFile = `${this.cacheFile}.tmp`;
     try {
-      const url = `https://api.sunrise-sunset.org/json?lat=${latitude}&lng=${longitude}&formatted=0`;
-      const response = await this.fetchWithRetry(url);
-
-      if (!response.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] sunrise-sunset.org API error: ${response.status}`);
-        return null;
-      }
-
-      const data = await response.json();
-      return data.status === "OK"
-        ? data.results
-        : null;
+      await fs.promises.mkdir(path.dirname(this.cacheFile), {recursive: true});
+      await fs.promises.writeFile(tempFile, JSON.stringify(this.diskCache));
+      await fs.promises.rename(tempFile, this.cacheFile);
     } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] sunrise-sunset.org fetch error: ${error}`);
-      return null;
-    }
-  },
-
-  // Fetch EPA UV index data
-  async fetchEpaUvData (zipcode) {
-    try {
-      const url = `https://data.epa.gov/efservice/getEnvirofactsUVHOURLY/ZIP/${zipcode}/JSON`;
-      const response = await this.fetchWithRetry(url);
-
-      if (!response.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] EPA UV API error: ${response.status}`);
-        return null;
-      }
-
-      const data = await response.json();
-      return Array.isArray(data) && data.length > 0
-        ? data
-        : null;
-    } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] EPA UV fetch error: ${error}`);
-      return null;
+      Log.warn(`[MMM-OpenWeatherForecast] Could not write cache file ${this.cacheFile}: ${error.message}`);
     }
   },
 
   /**
-   * Extract hour (0-23) from EPA UV data item
-   * EPA DATE_TIME format: "DEC/20/2025 03 AM" or similar
-   * Note: EPA UV times are in local time for the zipcode location
-   * @param {Object} item - EPA UV data item
-   * @returns {number} Hour in 24-hour format (0-23)
+   * Load all provider adapters from a directory, keyed by provider name.
+   * Files that don't export a fetch() function are skipped.
+   * @param {string} providerDir - Absolute path to the providers directory
+   * @returns {Object} Map of provider name to provider object
    */
-  getUvHour (item) {
-    if (item.DATE_TIME) {
-      const match = item.DATE_TIME.match(/(?<hour>\d{1,2})\s*(?<period>AM|PM)/iu);
-      if (match) {
-        let hour = parseInt(match.groups.hour, 10);
-        const isPM = match.groups.period.toUpperCase() === "PM";
-        if (isPM && hour !== 12) {
-          hour += 12;
-        }
-        if (!isPM && hour === 12) {
-          hour = 0;
+  loadProviders (providerDir) {
+    const providers = {};
+    const files = fs.readdirSync(providerDir).filter((file) => file.endsWith(".js"));
+
+    for (const file of files) {
+      try {
+        const provider = require(path.join(providerDir, file));
+        if (typeof provider.fetch !== "function") {
+          Log.warn(`[MMM-OpenWeatherForecast] Skipping provider ${file}: no fetch() function exported`);
+          continue;
         }
-        return hour;
+        provider.name = provider.name || path.basename(file, ".js");
+        provider.helper = this;
+        providers[provider.name] = provider;
+      } catch (error) {
+        Log.error(`[MMM-OpenWeatherForecast] Failed to load provider ${file}: ${error}`);
       }
     }
 
-    /*
-     * Fallback: assume ORDER 1 = 3 AM, so hour = ORDER + 2
-     * This covers 3 AM to 11 PM (typical UV forecast range)
-     */
-    return (item.ORDER || 0) + 2;
+    Log.info(`[MMM-OpenWeatherForecast] Loaded weather providers: ${Object.keys(providers).join(", ")}`);
+    return providers;
   },
 
-  // Fetch weather.gov alerts
-  async fetchWeatherGovAlerts (latitude, longitude) {
-    try {
-      const url = `https://api.weather.gov/alerts/active?point=${latitude},${longitude}`;
-      const response = await this.fetchWithRetry(url, {
-        cache: "no-store",
-        headers: {
-          "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
-          Accept: `application/geo+json;v=${Date.now()}`
-        }
-      });
-
-      if (!response.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] weather.gov alerts API error: ${response.status}`);
-        return null;
+  // Public description of a provider, sent to the frontend with the data
+  describeProvider (provider) {
+    return {
+      name: provider.name,
+      label: provider.label || provider.name,
+      capabilities: {
+        alerts: false,
+        minutely: false,
+        uv: false,
+        detailedPeriods: false,
+        airQuality: false,
+        ...provider.capabilities
       }
-
-      return await response.json();
-    } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] weather.gov alerts fetch error: ${error}`);
-      return null;
-    }
+    };
   },
 
-  // Fetch weather.gov forecast (12-hour periods with high/low temps)
-  async fetchWeatherGovForecast (latitude, longitude, units) {
-    const cacheKey = `${latitude},${longitude}`;
-    const gridInfo = this.gridPointCache[cacheKey];
+  // Send error notification to the instance (and location) that made the request
+  sendError (request, errorType, message, apiUsage = null) {
+    this.sendSocketNotification("OPENWEATHER_FORECAST_DATA", {
+      instanceId: request.instanceId,
+      locationIndex: request.locationIndex,
+      error: true,
+      errorType, // "config", "network", "api"
+      errorMessage: message,
+      apiUsage
+    });
+  },
 
-    if (!gridInfo) {
-      Log.warn("[MMM-OpenWeatherForecast] Grid info not cached, cannot fetch forecast");
-      return null;
-    }
+  // Create an error for a provider to throw; errorType is "config", "network" or "api"
+  providerError (errorType, message) {
+    const error = new Error(message);
+    error.errorType = errorType;
+    return error;
+  },
 
-    // weather.gov supports "us" and "si"; both "metric" and "standard" map to "si"
-    const unitsParam = units === "imperial"
-      ? "us"
-      : "si";
-    const url = `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}/forecast?units=${unitsParam}`;
+  // Delay helper for retry logic
+  delay (ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  },
 
-    try {
-      const response = await this.fetchWithRetry(url, {
-        cache: "no-store",
-        headers: {
-          "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
-          Accept: `application/geo+json;v=${Date.now()}`
+  // Fetch with retry for transient errors (5xx, network failures); onAttempt is called before every request
+  async fetchWithRetry (url, options = {}, maxRetries = 2, delayMs = 15000, onAttempt = null) {
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        if (onAttempt) {
+          onAttempt();
+        }
+        const response = await fetch(url, options);
+        if (response.ok) {
+          return response;
+        }
+        // Retry on 5xx errors
+        if (response.status >= 500 && attempt < maxRetries) {
+          Log.warn(`[MMM-OpenWeatherForecast] Got ${response.status}, retrying in ${delayMs / 1000}s... (attempt ${attempt + 1}/${maxRetries})`);
+          await this.delay(delayMs);
+          continue;
+        }
+        return response; // Return 4xx errors without retry
+      } catch (error) {
+        lastError = error;
+        if (attempt < maxRetries) {
+          Log.warn(`[MMM-OpenWeatherForecast] Network error: ${error.message || error}, retrying in ${delayMs / 1000}s... (attempt ${attempt + 1}/${maxRetries})`);
+          await this.delay(delayMs);
+          continue;
         }
-      });
-
-      if (!response.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] weather.gov forecast API error: ${response.status}`);
-        return null;
       }
-
-      return await response.json();
-    } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] weather.gov forecast fetch error: ${error}`);
-      return null;
     }
+    throw lastError;
   },
 
-  // Fetch weather.gov hourly forecast (168 hours with conditions)
-  async fetchWeatherGovHourlyForecast (latitude, longitude) {
-    const cacheKey = `${latitude},${longitude}`;
-    const gridInfo = this.gridPointCache[cacheKey];
-
-    if (!gridInfo) {
-      Log.warn("[MMM-OpenWeatherForecast] Grid info not cached, cannot fetch hourly forecast");
-      return null;
-    }
-
-    const url = `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}/forecast/hourly`;
-
-    try {
-      const response = await this.fetchWithRetry(url, {
-        cache: "no-store",
-        headers: {
-          "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
-          Accept: `application/geo+json;v=${Date.now()}`
-        }
-      });
+  // Usage is tracked per API key without storing the key itself
+  hashApiKey (apikey) {
+    return crypto.createHash("sha256").update(String(apikey)).digest("hex").slice(0, 12);
+  },
 
-      if (!response.ok) {
-        Log.error(`[MMM-OpenWeatherForecast] weather.gov hourly forecast API error: ${response.status}`);
-        return null;
-      }
+  // Calls made with an API key during the current UTC day
+  getApiUsage (apikey) {
+    const today = moment.utc().format("YYYY-MM-DD");
+    const usage = this.diskCache.apiUsage[this.hashApiKey(apikey)];
+    return usage && usage.day === today
+      ? usage
+      : {day: today, calls: 0};
+  },
 
-      return await response.json();
-    } catch (error) {
-      Log.error(`[MMM-OpenWeatherForecast] weather.gov hourly forecast fetch error: ${error}`);
-      return null;
-    }
+  recordApiCall (apikey) {
+    const usage = this.getApiUsage(apikey);
+    usage.calls++;
+    this.diskCache.apiUsage[this.hashApiKey(apikey)] = usage;
+    this.saveCache();
   },
 
   /**
-   * Get current hour in a specific timezone
-   * @param {string} timezone - IANA timezone (e.g., "America/Chicago")
-   * @returns {number} Current hour (0-23) in that timezone
+   * Work out how often an instance can poll so that all instances sharing its API key
+   * stay within dailyCallBudget for the rest of the UTC day. Instances with the same
+   * request key share fetches, so each request key counts once at its shortest interval.
+   * Polling is only slowed down when OpenWeather is the only provider: with a fallback, the
+   * fallback answers once the budget is used up, so the instance keeps its updateInterval.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {Object} {calls, budget, pollInterval, stretched, exhausted}; pollInterval is in ms
    */
-  getLocalHour (timezone) {
-    const formatter = new Intl.DateTimeFormat("en-US", {
-      timeZone: timezone,
-      hour: "numeric",
-      hour12: false
-    });
-    return parseInt(formatter.format(new Date()), 10);
-  },
-
-  // Transform free provider data to OpenWeather format
-   
-  transformFreeDataToOpenWeatherFormat (gridData, forecastData, hourlyForecastData, sunData, uvData, alertsData, units, latitude, longitude) {
-    const props = gridData.properties;
-    const now = new Date();
-    const timezone = props.timeZone || "America/Chicago";
-    const hourlyPeriods = hourlyForecastData?.properties?.periods || [];
-
-    // Helper to get current value from a weather.gov time series
-    const getCurrentValue = (series) => {
-      if (!series || !series.values || series.values.length === 0) {
-        return null;
-      }
-      const nowMs = now.getTime();
-      for (const item of series.values) {
-        const [start, duration] = this.parseValidTime(item.validTime);
-        const end = new Date(start.getTime() + duration);
-        if (nowMs >= start.getTime() && nowMs < end.getTime()) {
-          return item.value;
-        }
-      }
-      // If no current match, return first value
-      return series.values[0].value;
-    };
-
-    // Get current UV index from EPA data
-    const getCurrentUv = () => {
-      if (!uvData) {
-        return 0;
-      }
-      const currentHour = now.getHours();
-      for (const item of uvData) {
-        if (this.getUvHour(item) === currentHour) {
-          return item.UV_VALUE || 0;
-        }
-      }
-      // Return max UV for day if current hour not found
-      return Math.max(...uvData.map((item) => item.UV_VALUE || 0));
-    };
-
-    // Get current weather condition from hourly forecast (first period)
-    const currentHourlyPeriod = hourlyPeriods[0];
-    const parsedCurrentCondition = currentHourlyPeriod
-      ? this.parseShortForecast(currentHourlyPeriod.shortForecast, currentHourlyPeriod.isDaytime)
-      : null;
-    const currentWeatherCondition = parsedCurrentCondition
-      ? [parsedCurrentCondition]
-      : this.getWeatherCondition(props, sunData);
-
-    // Build current conditions
-    const current = {
-      dt: Math.floor(now.getTime() / 1000),
-      temp: this.convertTemp(getCurrentValue(props.temperature), units),
-      feels_like: this.convertTemp(getCurrentValue(props.apparentTemperature), units),
-      humidity: getCurrentValue(props.relativeHumidity),
-      dew_point: this.convertTemp(getCurrentValue(props.dewpoint), units),
-      pressure: getCurrentValue(props.pressure) / 100, // Convert Pa to hPa
-      visibility: getCurrentValue(props.visibility), // meters
-      wind_speed: this.convertSpeed(getCurrentValue(props.windSpeed), units),
-      wind_gust: this.convertSpeed(getCurrentValue(props.windGust), units),
-      wind_deg: getCurrentValue(props.windDirection),
-      uvi: getCurrentUv(),
-      clouds: getCurrentValue(props.skyCover),
-      sunrise: sunData
-        ? Math.floor(new Date(sunData.sunrise).getTime() / 1000)
-        : null,
-      sunset: sunData
-        ? Math.floor(new Date(sunData.sunset).getTime() / 1000)
-        : null,
-      weather: currentWeatherCondition
-    };
-
-    // Build daily forecast using forecast periods for high/low temps
-    const daily = this.buildDailyForecast(props, forecastData, sunData, uvData, units, timezone);
-
-    // Build hourly forecast
-    const hourly = this.buildHourlyForecast(props, hourlyPeriods, sunData, units);
-
-    // Build alerts
-    const alerts = this.buildAlerts(alertsData);
-
-    // Build detailed forecast periods for modal display
-    const forecastPeriods = this.buildDetailedForecastPeriods(forecastData);
+  getCallBudgetStatus (payload) {
+    const updateIntervalMs = payload.updateInterval * 60 * 1000;
+    const apikeyHash = this.hashApiKey(payload.apikey);
+    const poller = this.apiPollers[this.getRequestKey(payload)] ||= {apikeyHash, intervals: {}};
+    poller.intervals[payload.instanceId] = updateIntervalMs;
+
+    const usage = this.getApiUsage(payload.apikey);
+    const remaining = Math.max(payload.dailyCallBudget - usage.calls, 0);
+    const msLeftToday = moment.utc().endOf("day")
+      .diff(moment.utc());
+    const projected = Object.values(this.apiPollers).filter((other) => other.apikeyHash === apikeyHash)
+      .reduce((sum, other) => sum + msLeftToday / Math.min(...Object.values(other.intervals)), 0);
+
+    const hasFallback = [].concat(payload.weatherProvider).some((name) => name !== "openweather");
+    let pollInterval = updateIntervalMs;
+    if (!hasFallback && remaining === 0) {
+      pollInterval = Math.max(updateIntervalMs, msLeftToday + 60 * 1000); // first poll of the next UTC day
+    } else if (!hasFallback && projected > remaining) {
+      pollInterval = Math.ceil(updateIntervalMs * projected / remaining);
+    }
 
     return {
-      lat: latitude,
-      lon: longitude,
-      timezone: props.timeZone || "America/Chicago",
-      timezone_offset: 0,
-      current,
-      daily,
-      hourly,
-      alerts,
-      forecastPeriods
+      calls: usage.calls,
+      budget: payload.dailyCallBudget,
+      pollInterval,
+      stretched: pollInterval > updateIntervalMs,
+      exhausted: remaining === 0
     };
   },
 
-  // Parse weather.gov validTime format: "2024-12-17T18:00:00+00:00/PT3H"
-  parseValidTime (validTime) {
-    const parts = validTime.split("/");
-    const start = new Date(parts[0]);
-    let durationMs = 3600000; // default 1 hour
-
-    if (parts[1]) {
-      const durationStr = parts[1];
-      const match = durationStr.match(/PT?(?<num>\d+)(?<unit>[HMD])/iu);
-      if (match) {
-        const value = parseInt(match.groups.num, 10);
-        const unit = match.groups.unit.toUpperCase();
-        if (unit === "H") {
-          durationMs = value * 3600000;
-        } else if (unit === "M") {
-          durationMs = value * 60000;
-        } else if (unit === "D") {
-          durationMs = value * 86400000;
-        }
+  // Forget an instance's polls, e.g. when it starts again with a new config
+  removePollers (instanceId) {
+    for (const [requestKey, poller] of Object.entries(this.apiPollers)) {
+      delete poller.intervals[instanceId];
+      if (Object.keys(poller.intervals).length === 0) {
+        delete this.apiPollers[requestKey];
       }
     }
+  },
 
-    return [start, durationMs];
+  // The budget only applies to OpenWeather, the other providers are keyless
+  getApiUsageReport (payload) {
+    return [].concat(payload.weatherProvider).includes("openweather") && payload.apikey && payload.dailyCallBudget > 0
+      ? this.getCallBudgetStatus(payload)
+      : null;
   },
 
-  // Get weather condition at a specific time from weather.gov weather series
-  getWeatherAtTime (props, targetTime) {
-    if (!props.weather || !props.weather.values) {
+  // Providers return metric data; this brings speeds in km/h to m/s
+  convertSpeed (kmh) {
+    if (kmh === null) {
       return null;
     }
+    return kmh * 0.277778;
+  },
 
-    const targetMs = targetTime.getTime();
+  async socketNotificationReceived (notification, payload) {
+    if (notification === "OPENWEATHER_FORECAST_GET") {
+      payload = {
+        ...payload,
+        // Always fetch metric data; the front end converts to the displayed units
+        units: "metric",
+        apikey: this.resolveApiKey(payload),
+        airnowApikey: this.resolveSecret(payload.airnowApikeyRef)
+      };
 
-    for (const item of props.weather.values) {
-      const [start, duration] = this.parseValidTime(item.validTime);
-      const end = new Date(start.getTime() + duration);
-      if (targetMs >= start.getTime() && targetMs < end.getTime()) {
-        // weather.gov weather.value is an array of conditions
-        if (item.value && item.value.length > 0) {
-          return item.value[0];
+      const hasCoordinates = payload.latitude !== null && payload.latitude !== "" && payload.longitude !== null && payload.longitude !== "";
+
+      // Coordinates win over a place name or postal code to look up
+      if (!hasCoordinates && (payload.location || payload.postalCode)) {
+        try {
+          const place = await this.geocode(payload);
+          payload = {
+            ...payload,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            zipcode: payload.zipcode || place.zipcode,
+            locationName: place.name
+          };
+        } catch (error) {
+          Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** Geocoding failed: ${error.message || error}`);
+          this.sendError(payload, error.errorType || "network", error.message || String(error));
+          return;
         }
+      } else if (!hasCoordinates) {
+        Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** Latitude and/or longitude not provided.`);
+        this.sendError(payload, "config", "Latitude and/or longitude not provided");
+        return;
       }
-    }
-    return null;
-  },
-
-  // Get weather condition from weather.gov data
-  getWeatherCondition (props, sunData = null) {
-    const now = new Date();
-    const condition = this.getWeatherAtTime(props, now);
-
-    const sunrise = sunData
-      ? Math.floor(new Date(sunData.sunrise).getTime() / 1000)
-      : null;
-    const sunset = sunData
-      ? Math.floor(new Date(sunData.sunset).getTime() / 1000)
-      : null;
-    const timestamp = Math.floor(now.getTime() / 1000);
-
-    // Map weather.gov conditions to OpenWeather-like format
-    const mapping = this.mapWeatherCondition(condition, timestamp, sunrise, sunset);
-    return [mapping];
-  },
-
-  // Map weather.gov condition to OpenWeather format
-   
-  mapWeatherCondition (condition, timestamp = null, sunrise = null, sunset = null) {
-    // Determine day/night based on sunrise/sunset if available
-    const checkTime = timestamp
-      ? new Date(timestamp * 1000)
-      : new Date();
-
-    const isDay = sunrise && sunset
-      ? checkTime >= new Date(sunrise * 1000) && checkTime < new Date(sunset * 1000)
-      : checkTime.getHours() >= 6 && checkTime.getHours() < 18;
-
-    const dayNight = isDay
-      ? "d"
-      : "n";
-
-    if (!condition) {
-      return {id: 800, main: "Clear", description: "clear sky", icon: `01${dayNight}`};
-    }
 
-    const weather = condition.weather || "";
-    const coverage = condition.coverage || "";
-    const intensity = condition.intensity || "";
-
-    // Simplified mapping - replace underscores with spaces for proper formatting
-    const desc = `${coverage} ${intensity} ${weather}`
-      .replace(/_/gu, " ")
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/gu, " ");
-
-    if (weather.includes("thunder") || weather.includes("storm")) {
-      return {id: 200, main: "Thunderstorm", description: desc, icon: `11${dayNight}`};
-    }
-    if (weather.includes("snow") || weather.includes("blizzard")) {
-      return {id: 600, main: "Snow", description: desc, icon: `13${dayNight}`};
-    }
-    if (weather.includes("rain") || weather.includes("drizzle") || weather.includes("showers")) {
-      if (intensity === "light") {
-        return {id: 500, main: "Rain", description: desc, icon: `10${dayNight}`};
-      }
-      return {id: 501, main: "Rain", description: desc, icon: `10${dayNight}`};
-    }
-    if (weather.includes("fog") || weather.includes("mist") || weather.includes("haze")) {
-      return {id: 741, main: "Fog", description: desc, icon: `50${dayNight}`};
-    }
-    if (weather.includes("cloud") || coverage.includes("overcast") || coverage.includes("mostly")) {
-      if (coverage.includes("few") || coverage.includes("partly")) {
-        return {id: 801, main: "Clouds", description: desc, icon: `02${dayNight}`};
+      // A label set by the user wins over the name of the place
+      if (payload.locationLabel) {
+        payload.locationName = payload.locationLabel;
       }
-      if (coverage.includes("scattered")) {
-        return {id: 802, main: "Clouds", description: desc, icon: `03${dayNight}`};
+      // Only look up a name that will be shown; one that isn't known yet is sent after the forecast
+      if (!payload.locationName && payload.showLocationName) {
+        payload.locationName = this.diskCache.geocodes[this.getReverseGeocodeKey(payload)]?.name;
+        if (!payload.locationName) {
+          this.sendLocationName(payload);
+        }
       }
-      return {id: 804, main: "Clouds", description: desc, icon: `04${dayNight}`};
-    }
-    if (weather.includes("wind")) {
-      return {id: 771, main: "Wind", description: desc, icon: `50${dayNight}`};
-    }
-
-    // Default to clear
-    return {id: 800, main: "Clear", description: "clear sky", icon: `01${dayNight}`};
-  },
 
-  /**
-   * Parse probability qualifier from forecast text.
-   * NWS probability terms: https://www.weather.gov/bgm/forecast_terms
-   * @param {string} text - Lowercase forecast text
-   * @returns {Object} { qualifier: string, probability: number, cleanText: string }
-   */
-  parseProbability (text) {
-    // Order matters: check more specific phrases before general ones
-
-    // ~20% probability
-    if (text.includes("slight chance")) {
-      return {qualifier: "slight_chance", probability: 0.2, cleanText: text.replace(/slight chance/gu, "").trim()};
-    }
-    if (text.includes("isolated")) {
-      return {qualifier: "isolated", probability: 0.2, cleanText: text.replace(/isolated/gu, "").trim()};
-    }
-    if (text.includes("widely scattered")) {
-      return {qualifier: "widely_scattered", probability: 0.2, cleanText: text.replace(/widely scattered/gu, "").trim()};
-    }
-
-    // ~70% probability (check before "chance" since "likely" is more specific)
-    if (text.includes("likely")) {
-      return {qualifier: "likely", probability: 0.7, cleanText: text.replace(/likely/gu, "").trim()};
-    }
-    if (text.includes("numerous")) {
-      return {qualifier: "numerous", probability: 0.7, cleanText: text.replace(/numerous/gu, "").trim()};
-    }
+      // Show the last good data right away (e.g. after a restart) while we fetch
+      const cached = this.diskCache.forecasts[this.getRequestKey(payload)];
+      if (cached && !payload.hasData) {
+        Log.info(`[MMM-OpenWeatherForecast] Serving cached data from ${moment(cached.fetchedAt).format("D-MMM-YY HH:mm")}`);
+        this.sendSocketNotification("OPENWEATHER_FORECAST_DATA", {...cached, instanceId: payload.instanceId, locationIndex: payload.locationIndex, locationName: payload.locationName, fromCache: true});
+      }
 
-    // ~40% probability
-    if (text.includes("scattered")) {
-      return {qualifier: "scattered", probability: 0.4, cleanText: text.replace(/scattered/gu, "").trim()};
-    }
-    if (text.includes("chance")) {
-      return {qualifier: "chance", probability: 0.4, cleanText: text.replace(/chance/gu, "").trim()};
+      try {
+        const data = await this.getSharedData(payload);
+        this.sendSocketNotification("OPENWEATHER_FORECAST_DATA", {...data, instanceId: payload.instanceId, locationIndex: payload.locationIndex, locationName: payload.locationName, apiUsage: this.getApiUsageReport(payload)});
+      } catch (error) {
+        this.sendError(payload, error.errorType || "network", error.message || String(error), this.getApiUsageReport(payload));
+      }
+    } else if (notification === "CONFIG") {
+      this.config = payload;
+      this.legacyApiKeys[payload.instanceId] = payload.apikey;
+      this.removePollers(payload.instanceId);
     }
-
-    // 100% probability (categorical)
-    return {qualifier: "categorical", probability: 1.0, cleanText: text};
   },
 
   /**
-   * Get weather condition with severity score from forecast text
-   * @param {string} text - Lowercase forecast text (with probability removed)
-   * @param {boolean} isDaytime - Whether it's daytime
-   * @returns {Object} { severity, icon, id, main }
+   * Look up the coordinates, name and ZIP code of a request's postalCode or location
+   * (in that order), with the geocode() of the first provider in the chain that has one.
+   * Places are kept in the disk cache, so each one is only looked up once.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {Promise<Object>} {latitude, longitude, name, zipcode}; rejects with a provider error
    */
-  getWeatherConditionFromText (text, isDaytime) {
-    const dayNight = isDaytime
-      ? "d"
-      : "n";
-
-    // Severe weather (highest severity)
-    if (text.includes("thunder") || text.includes("storm") || text.includes("hail")) {
-      return {severity: 100, icon: `11${dayNight}`, id: 200, main: "Thunderstorm"};
-    }
-
-    // Freezing/mixed precipitation (very high severity)
-    if (text.includes("freezing") || text.includes("ice") || text.includes("sleet") || text.includes("wintry mix")) {
-      return {severity: 90, icon: `13${dayNight}`, id: 611, main: "Sleet"};
-    }
-    if (text.includes("rain") && text.includes("snow")) {
-      // "Rain and Snow" or "Rain/Snow" mix
-      return {severity: 85, icon: `13${dayNight}`, id: 616, main: "Sleet"};
-    }
+  async geocode (payload) {
+    const query = payload.postalCode
+      ? {postalCode: String(payload.postalCode).trim()}
+      : {location: String(payload.location).trim()};
+    const key = (query.postalCode
+      ? `postalcode:${query.postalCode}`
+      : `location:${query.location}`).toLowerCase();
 
-    // Snow (high severity)
-    if (text.includes("snow") || text.includes("blizzard") || text.includes("flurries") || text.includes("graupel")) {
-      return {severity: 80, icon: `13${dayNight}`, id: 600, main: "Snow"};
+    if (this.diskCache.geocodes[key]) {
+      return this.diskCache.geocodes[key];
     }
 
-    // Rain (moderate-high severity)
-    if (text.includes("rain") || text.includes("showers") || text.includes("drizzle")) {
-      return {severity: 70, icon: `10${dayNight}`, id: 500, main: "Rain"};
+    const providerNames = [].concat(payload.weatherProvider);
+    const provider = providerNames.map((name) => this.providers[name]).find((candidate) => candidate && typeof candidate.geocode === "function");
+    if (!provider) {
+      throw this.providerError("config", `Weather provider "${providerNames.join(", ")}" can't look up places, set latitude and longitude instead`);
     }
 
-    // Atmospheric conditions (medium severity)
-    if (text.includes("fog") || text.includes("mist") || text.includes("haze") || text.includes("smoke")) {
-      return {severity: 40, icon: `50${dayNight}`, id: 741, main: "Fog"};
+    const place = await provider.geocode(query, payload);
+    if (!place) {
+      throw this.providerError("config", `Could not find "${query.postalCode || query.location}"`);
     }
 
-    // Wind conditions
-    if (text.includes("wind") || text.includes("breezy") || text.includes("blustery")) {
-      return {severity: 30, icon: `50${dayNight}`, id: 771, main: "Wind"};
-    }
-
-    // Cloud cover (low severity) - check more specific phrases first
-    if (text.includes("partly cloudy") || text.includes("partly sunny")) {
-      return {severity: 15, icon: `02${dayNight}`, id: 801, main: "Clouds"};
-    }
-    if (text.includes("mostly cloudy") || text.includes("cloudy") || text.includes("overcast")) {
-      return {severity: 20, icon: `04${dayNight}`, id: 804, main: "Clouds"};
-    }
-
-    // Clear (lowest severity) - "mostly sunny/clear" now maps to clear
-    if (text.includes("sunny") || text.includes("clear")) {
-      return {severity: 10, icon: `01${dayNight}`, id: 800, main: "Clear"};
-    }
-
-    // Default to clear
-    return {severity: 10, icon: `01${dayNight}`, id: 800, main: "Clear"};
+    Log.info(`[MMM-OpenWeatherForecast] Found "${query.postalCode || query.location}": ${place.name} (${place.latitude}, ${place.longitude})`);
+    this.diskCache.geocodes[key] = {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      name: place.name,
+      zipcode: place.zipcode || ""
+    };
+    this.saveCache();
+    return this.diskCache.geocodes[key];
   },
 
   /**
-   * Parse shortForecast text from /forecast API into weather condition object.
-   * Handles compound forecasts like "Chance Rain then Mostly Sunny" by:
-   * 1. Splitting on " then " to get individual conditions
-   * 2. Extracting probability qualifiers (slight chance=20%, chance=40%, likely=70%)
-   * 3. Scoring each condition as: severity × probability
-   * 4. Returning the highest-scoring condition
-   *
-   * Special rule: Low probability (20%) precipitation is downgraded to "Partly Cloudy"
-   * to avoid showing rain/snow icons for unlikely events.
-   *
-   * @param {string} shortForecast - Text like "Sunny", "Mostly Cloudy", "Chance Light Snow"
-   * @param {boolean} isDaytime - Whether it's daytime (from forecast period)
-   * @returns {Object|null} Weather condition object matching OpenWeather format, or null if empty
+   * Name the place at a request's coordinates with the reverseGeocode() of the first provider
+   * in the chain that has one, or else OpenWeather's when an API key is set. Names are kept
+   * in the disk cache. Failures are only logged, since the name isn't needed for the forecast,
+   * and the lookup isn't tried again for an hour.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {Promise<string|null>} The place's name, or null when it isn't known
    */
-  parseShortForecast (shortForecast, isDaytime) {
-    if (!shortForecast || !shortForecast.trim()) {
-      return null;
+  async reverseGeocode (payload) {
+    const key = this.getReverseGeocodeKey(payload);
+    if (this.diskCache.geocodes[key]) {
+      return this.diskCache.geocodes[key].name;
     }
-
-    const dayNight = isDaytime
-      ? "d"
-      : "n";
-
-    // Split on " then " to handle compound forecasts
-    const parts = shortForecast.toLowerCase().split(" then ");
-
-    let bestCondition = null;
-    let bestScore = -1;
-
-    for (const part of parts) {
-      // Parse probability qualifier
-      const {qualifier, probability, cleanText} = this.parseProbability(part);
-
-      // Get weather condition with severity
-      const condition = this.getWeatherConditionFromText(cleanText, isDaytime);
-
-      // Calculate score: severity * probability
-      let score = condition.severity * probability;
-
-      // Special rule: low probability precipitation (20%) gets downgraded to partly cloudy
-      let finalCondition = condition;
-      const isLowProbability = qualifier === "slight_chance" || qualifier === "isolated" || qualifier === "widely_scattered";
-      if (isLowProbability && condition.severity >= 70) {
-        finalCondition = {
-          severity: 15,
-          icon: `02${dayNight}`,
-          id: 801,
-          main: "Clouds"
-        };
-        score = 15;
-      }
-
-      // Track best condition (first one wins ties via > not >=)
-      if (score > bestScore) {
-        bestScore = score;
-        bestCondition = {
-          id: finalCondition.id,
-          main: finalCondition.main,
-          description: shortForecast.toLowerCase(),
-          icon: finalCondition.icon
-        };
-      }
+    if (Date.now() < (this.reverseGeocodeRetryAt[key] || 0)) {
+      return null;
     }
 
-    return bestCondition;
-  },
-
-  /**
-   * Find the hourly forecast period that contains the given time
-   * @param {Array} periods - Hourly forecast periods from /forecast/hourly API
-   * @param {Date} targetTime - The time to find a period for
-   * @returns {Object|null} The matching forecast period or null
-   */
-  findHourlyPeriod (periods, targetTime) {
-    if (!periods || periods.length === 0) {
+    const providerNames = [...[].concat(payload.weatherProvider), "openweather"];
+    const provider = providerNames.map((name) => this.providers[name]).find((candidate) => candidate && typeof candidate.reverseGeocode === "function");
+    if (!provider) {
       return null;
     }
 
-    const targetMs = targetTime.getTime();
-
-    for (const period of periods) {
-      const start = new Date(period.startTime).getTime();
-      const end = new Date(period.endTime).getTime();
-
-      if (targetMs >= start && targetMs < end) {
-        return period;
+    try {
+      const name = await provider.reverseGeocode(payload.latitude, payload.longitude, payload);
+      if (name) {
+        Log.info(`[MMM-OpenWeatherForecast] ${payload.latitude}, ${payload.longitude} is ${name}`);
+        this.diskCache.geocodes[key] = {name};
+        this.saveCache();
+        return name;
       }
+    } catch (error) {
+      Log.warn(`[MMM-OpenWeatherForecast] Could not look up the name of ${payload.latitude}, ${payload.longitude}: ${error.message || error}`);
     }
-
+    this.reverseGeocodeRetryAt[key] = Date.now() + 60 * 60 * 1000;
     return null;
   },
 
-  /**
-   * Get values for a specific day from a weather.gov time series
-   * @param {Object} series - The time series data (e.g., props.windSpeed)
-   * @param {Date} baseDate - The base date (usually now)
-   * @param {number} dayOffset - Days from baseDate (0 = today)
-   * @param {boolean} useOverlap - If true, include periods that overlap with target day
-   * @param {boolean} futureOnly - If true, only include periods that haven't ended yet (for day 0)
-   * @param {string} timezone - IANA timezone name for calculating day boundaries
-   * @returns {Array} Array of values for that day
-   */
-  getValuesForDay (series, baseDate, dayOffset, useOverlap = false, futureOnly = false, timezone = null) {
-    if (!series || !series.values) {
-      return [];
+  // Look up the name of a request's coordinates and send it on its own, so the forecast doesn't wait for it
+  async sendLocationName (payload) {
+    const locationName = await this.reverseGeocode(payload);
+    if (locationName) {
+      this.sendSocketNotification("OPENWEATHER_FORECAST_LOCATION_NAME", {instanceId: payload.instanceId, locationIndex: payload.locationIndex, locationName});
     }
-    const targetDate = new Date(baseDate);
-    targetDate.setDate(targetDate.getDate() + dayOffset);
-
-    if (useOverlap) {
-      // Calculate day boundaries in location's timezone
-      const tz = timezone || "America/Chicago";
-      const dayStart = moment(targetDate).tz(tz)
-        .startOf("day");
-      const dayStartMs = dayStart.valueOf();
-      const dayEndMs = dayStartMs + 86400000; // 24 hours in ms
-      const nowMs = Date.now();
-
-      return series.values.filter((item) => {
-        const [start, duration] = this.parseValidTime(item.validTime);
-        const startMs = start.getTime();
-        const endMs = startMs + duration;
-
-        // Must overlap with target day
-        const overlapsDay = startMs < dayEndMs && endMs > dayStartMs;
+  },
 
-        // If futureOnly, period must not have ended yet
-        if (futureOnly && dayOffset === 0) {
-          return overlapsDay && endMs > nowMs;
-        }
-        return overlapsDay;
-      }).map((item) => item.value);
-    }
+  // Disk cache key of the name of a request's coordinates
+  getReverseGeocodeKey (payload) {
+    return `reverse:${payload.latitude},${payload.longitude}`;
+  },
 
-    // Match target day against weather.gov timestamps (both in local time)
-    const targetDay = moment(targetDate).format("YYYY-MM-DD");
-    return series.values.filter((item) => {
-      const [start] = this.parseValidTime(item.validTime);
-      return moment(start).format("YYYY-MM-DD") === targetDay;
-    }).map((item) => item.value);
+  // Instances asking for the same provider(s), location, language and API key share one fetch
+  getRequestKey (payload) {
+    return [
+      [].concat(payload.weatherProvider).join(">"),
+      payload.latitude,
+      payload.longitude,
+      payload.zipcode || "",
+      payload.language,
+      payload.apikey
+        ? this.hashApiKey(payload.apikey)
+        : "",
+      // Forecast text is written in the displayed units
+      [].concat(payload.weatherProvider).some((name) => this.providers[name]?.capabilities?.detailedPeriods)
+        ? payload.displayUnits
+        : "",
+      payload.airQuality
+        ? "airquality"
+        : "",
+      payload.maxObservationAge
+    ].join("|");
   },
 
   /**
-   * Extract day/night period temperatures from forecast data
-   * @param {Array} periods - Forecast periods from /forecast API
-   * @param {number} periodIdx - Current index in periods array
-   * @returns {Object} { dayPeriod, nightPeriod, newPeriodIdx }
+   * Get forecast data for a request, coalescing it with other module instances.
+   * A request joins a fetch that is already in flight for the same key, and reuses
+   * the last result if it is younger than the instance's dataFreshnessWindow.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {Promise<Object>} The normalized forecast data
    */
-  extractForecastPeriods (periods, periodIdx) {
-    let dayPeriod = null;
-    let nightPeriod = null;
-    let idx = periodIdx;
-
-    // Check for day period (if available)
-    if (idx < periods.length && periods[idx].isDaytime) {
-      dayPeriod = periods[idx];
-      idx++;
-    }
-
-    // Check for night period (if available)
-    if (idx < periods.length && !periods[idx].isDaytime) {
-      nightPeriod = periods[idx];
-      idx++;
+  getSharedData (payload) {
+    const key = this.getRequestKey(payload);
+    const entry = this.sharedRequests[key] || {};
+    this.sharedRequests[key] = entry;
+
+    if (entry.data && Date.now() - entry.fetchedAt < (payload.dataFreshnessWindow || 0)) {
+      Log.debug(`[MMM-OpenWeatherForecast] Reusing data for ${key} fetched ${Math.round((Date.now() - entry.fetchedAt) / 1000)}s ago`);
+      return Promise.resolve(entry.data);
+    }
+
+    if (!entry.pending) {
+      entry.pending = this.fetchProviderData(payload)
+        .then((data) => {
+          data.fetchedAt = Date.now();
+          entry.data = data;
+          entry.fetchedAt = data.fetchedAt;
+          this.diskCache.forecasts[key] = data;
+          this.saveCache();
+          return data;
+        })
+        .finally(() => {
+          entry.pending = null;
+        });
+    } else {
+      Log.debug(`[MMM-OpenWeatherForecast] Joining in-flight fetch for ${key}`);
     }
 
-    return {dayPeriod, nightPeriod, newPeriodIdx: idx};
+    return entry.pending;
   },
 
   /**
-   * Calculate daily aggregates (wind, precip, etc.) from gridpoints data
-   * @param {Object} props - Gridpoints properties
-   * @param {Date} baseDate - Base date for calculations
-   * @param {number} dayOffset - Days from baseDate
-   * @param {string} timezone - IANA timezone name for calculating day boundaries
-   * @returns {Object} Aggregated values for the day
+   * Add sun and moon times to the daily entries from the module's own calculations:
+   * solar_noon, golden hour, day length (and its change since the day before) and civil,
+   * nautical and astronomical dawn and dusk for every provider, and sunrise, sunset,
+   * moon_phase, moonrise and moonset where the provider has none.
+   * As in the One Call API, a time of 0 means the event doesn't happen that day.
+   * @param {Object} data - The normalized forecast data
    */
-  calculateDailyAggregates (props, baseDate, dayOffset, timezone) {
-    const tz = timezone || props.timeZone || "America/Chicago";
-    // For today (dayOffset 0), only include current and future periods
-    const futureOnly = dayOffset === 0;
-
-    const validWindSpeeds = this.getValuesForDay(props.windSpeed, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
-    const validWindGusts = this.getValuesForDay(props.windGust, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
-    const validPops = this.getValuesForDay(props.probabilityOfPrecipitation, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
-    const rain = this.getValuesForDay(props.quantitativePrecipitation, baseDate, dayOffset, true, futureOnly, tz);
-    const snow = this.getValuesForDay(props.snowfallAmount, baseDate, dayOffset, true, futureOnly, tz);
-    const humidityValues = this.getValuesForDay(props.relativeHumidity, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
-
-    return {
-      maxWind: validWindSpeeds.length > 0
-        ? Math.max(...validWindSpeeds)
-        : null,
-      maxGust: validWindGusts.length > 0
-        ? Math.max(...validWindGusts)
-        : null,
-      maxPop: validPops.length > 0
-        ? Math.max(...validPops)
-        : 0,
-      totalRain: rain.length > 0
-        ? rain.reduce((a, b) => (a || 0) + (b || 0), 0)
-        : 0,
-      totalSnow: snow.length > 0
-        ? snow.reduce((a, b) => (a || 0) + (b || 0), 0)
-        : 0,
-      avgHumidity: humidityValues.length > 0
-        ? humidityValues.reduce((sum, v) => sum + v, 0) / humidityValues.length
-        : 50,
-      windDeg: this.getValuesForDay(props.windDirection, baseDate, dayOffset)[0] || 0
-    };
-  },
-
-  // Build daily forecast using /forecast periods for high/low temps
-   
-  buildDailyForecast (props, forecastData, sunData, uvData, units, timezone) {
-    const daily = [];
-    const now = new Date();
-    const tz = timezone || props.timeZone || "America/Chicago";
-    const currentHour = this.getLocalHour(tz);
-
-    // Get base sunrise/sunset timestamps (we'll adjust by day offset)
-    const baseSunrise = sunData
-      ? Math.floor(new Date(sunData.sunrise).getTime() / 1000)
-      : null;
-    const baseSunset = sunData
-      ? Math.floor(new Date(sunData.sunset).getTime() / 1000)
-      : null;
-
-    // Calculate max UV for current and remaining hours today from EPA data (only available for current day)
-    const todayMaxUv = uvData && uvData.length > 0
-      ? Math.max(...uvData
-        .filter((item) => this.getUvHour(item) >= currentHour)
-        .map((item) => item.UV_VALUE || 0), 0)
-      : 0;
-
-    // Get forecast periods (already in correct units from API)
-    const periods = forecastData?.properties?.periods || [];
-    let periodIdx = 0;
-
-    // Build 7 days of forecast
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(now);
-      date.setDate(date.getDate() + i);
-      date.setHours(12, 0, 0, 0); // Noon for daily icon
-
-      // Extract day/night periods for temps
-      const {dayPeriod, nightPeriod, newPeriodIdx} = this.extractForecastPeriods(periods, periodIdx);
-      periodIdx = newPeriodIdx;
-
-      // Temps already in target units from /forecast?units=us|si
-      const highTemp = dayPeriod?.temperature ?? null;
-      const lowTemp = nightPeriod?.temperature ?? null;
-
-      // Get aggregates from gridpoints data
-      const agg = this.calculateDailyAggregates(props, now, i, tz);
-
-      // Get weather condition from forecast period (prefer day, fallback to night)
-      const forecastPeriod = dayPeriod || nightPeriod;
-      const parsedDailyCondition = forecastPeriod
-        ? this.parseShortForecast(forecastPeriod.shortForecast, forecastPeriod.isDaytime)
-        : null;
-      const weatherCondition = parsedDailyCondition || this.mapWeatherCondition(null, null, null, null);
-
-      const timestamp = Math.floor(date.getTime() / 1000);
-
-      // Adjust sunrise/sunset by day offset (86400 seconds per day)
-      const adjustedSunrise = baseSunrise
-        ? baseSunrise + i * 86400
-        : null;
-      const adjustedSunset = baseSunset
-        ? baseSunset + i * 86400
-        : null;
-
-      daily.push({
-        dt: timestamp,
-        sunrise: adjustedSunrise,
-        sunset: adjustedSunset,
-        temp: {
-          day: highTemp,
-          min: lowTemp,
-          max: highTemp,
-          night: lowTemp,
-          eve: highTemp,
-          morn: lowTemp
-        },
-        feels_like: {
-          day: highTemp,
-          night: lowTemp,
-          eve: highTemp,
-          morn: lowTemp
-        },
-        humidity: agg.avgHumidity,
-        wind_speed: this.convertSpeed(agg.maxWind, units),
-        wind_gust: this.convertSpeed(agg.maxGust, units),
-        wind_deg: agg.windDeg,
-        pop: agg.maxPop / 100, // OpenWeather uses 0-1
-        rain: agg.totalRain,
-        snow: agg.totalSnow,
-        weather: [weatherCondition],
-        uvi: i === 0
-          ? todayMaxUv
-          : 0 // EPA data only available for current day
-      });
-    }
-
-    return daily;
-  },
-
-  // Build hourly forecast from weather.gov data
-  buildHourlyForecast (props, hourlyPeriods, sunData, units) {
-    const hourly = [];
-    const now = new Date();
-
-    // Get sunrise/sunset timestamps (use today's times, close enough for day/night)
-    const sunrise = sunData
-      ? Math.floor(new Date(sunData.sunrise).getTime() / 1000)
-      : null;
-    const sunset = sunData
-      ? Math.floor(new Date(sunData.sunset).getTime() / 1000)
-      : null;
-
-    // Get values by hour from time series
-    const getValueAtHour = (series, targetTime) => {
-      if (!series || !series.values) {
-        return null;
+  addAstronomyData (data) {
+    const toUnix = (time) => (time
+      ? Math.round(time.getTime() / 1000)
+      : 0);
+
+    let previousDayLength = null;
+
+    for (const day of data.daily || []) {
+      const localTime = data.timezone
+        ? moment.unix(day.dt).tz(data.timezone)
+        : moment.unix(day.dt).utcOffset((data.timezone_offset || 0) / 60);
+
+      const localNoon = localTime.clone().hour(12).startOf("hour");
+      const sunTimes = astronomy.getSunTimes(localNoon.toDate(), data.lat, data.lon);
+      if (typeof day.sunrise !== "number" || typeof day.sunset !== "number") {
+        day.sunrise = toUnix(sunTimes.sunrise);
+        day.sunset = toUnix(sunTimes.sunset);
       }
-      const targetMs = targetTime.getTime();
+      day.solar_noon = toUnix(sunTimes.solarNoon);
+      day.golden_hour_morning_end = toUnix(sunTimes.goldenHourEnd);
+      day.golden_hour_evening_start = toUnix(sunTimes.goldenHour);
 
-      for (const item of series.values) {
-        const [start, duration] = this.parseValidTime(item.validTime);
-        const end = new Date(start.getTime() + duration);
-        if (targetMs >= start.getTime() && targetMs < end.getTime()) {
-          return item.value;
-        }
+      // Both days come from the same model, so the change isn't thrown off by provider rounding
+      if (previousDayLength === null) {
+        previousDayLength = astronomy.getSunTimes(localNoon.clone().subtract(1, "day").toDate(), data.lat, data.lon).dayLength;
+      }
+      day.day_length = day.sunrise && day.sunset
+        ? day.sunset - day.sunrise
+        : sunTimes.dayLength;
+      day.day_length_change = sunTimes.dayLength - previousDayLength;
+      previousDayLength = sunTimes.dayLength;
+
+      day.civil_dawn = toUnix(sunTimes.civilDawn);
+      day.civil_dusk = toUnix(sunTimes.civilDusk);
+      day.nautical_dawn = toUnix(sunTimes.nauticalDawn);
+      day.nautical_dusk = toUnix(sunTimes.nauticalDusk);
+      day.astronomical_dawn = toUnix(sunTimes.astronomicalDawn);
+      day.astronomical_dusk = toUnix(sunTimes.astronomicalDusk);
+
+      if (typeof day.moon_phase !== "number") {
+        day.moon_phase = astronomy.getMoonPhase(new Date(day.dt * 1000)).phase;
+      }
+      if (typeof day.moonrise !== "number" || typeof day.moonset !== "number") {
+        const localMidnight = localTime.clone().startOf("day");
+        const moonTimes = astronomy.getMoonTimes(localMidnight.toDate(), data.lat, data.lon);
+        day.moonrise = toUnix(moonTimes.rise);
+        day.moonset = toUnix(moonTimes.set);
       }
-      return null;
-    };
-
-    // Build 48 hours of forecast
-    for (let i = 0; i < 48; i++) {
-      const hourTime = new Date(now);
-      hourTime.setMinutes(0, 0, 0);
-      hourTime.setHours(hourTime.getHours() + i);
-
-      const temp = getValueAtHour(props.temperature, hourTime);
-      const pop = getValueAtHour(props.probabilityOfPrecipitation, hourTime);
-      const wind = getValueAtHour(props.windSpeed, hourTime);
-      const gust = getValueAtHour(props.windGust, hourTime);
-      const humidity = getValueAtHour(props.relativeHumidity, hourTime);
-      const pressure = getValueAtHour(props.pressure, hourTime);
-      const windDir = getValueAtHour(props.windDirection, hourTime);
-
-      // Get weather condition from hourly forecast periods
-      const hourlyPeriod = this.findHourlyPeriod(hourlyPeriods, hourTime);
-      const timestamp = Math.floor(hourTime.getTime() / 1000);
-
-      // For day/night calculation on future days, adjust sunrise/sunset by day offset
-      const dayOffset = Math.floor(i / 24);
-      const adjustedSunrise = sunrise
-        ? sunrise + dayOffset * 86400
-        : null;
-      const adjustedSunset = sunset
-        ? sunset + dayOffset * 86400
-        : null;
-
-      // Use hourly forecast period for weather condition, fallback to gridpoints data
-      const parsedHourlyCondition = hourlyPeriod
-        ? this.parseShortForecast(hourlyPeriod.shortForecast, hourlyPeriod.isDaytime)
-        : null;
-      const weatherCondition = parsedHourlyCondition ||
-        this.mapWeatherCondition(this.getWeatherAtTime(props, hourTime), timestamp, adjustedSunrise, adjustedSunset);
-
-      hourly.push({
-        dt: timestamp,
-        temp: this.convertTemp(temp, units),
-        feels_like: this.convertTemp(getValueAtHour(props.apparentTemperature, hourTime), units),
-        humidity: humidity || 50,
-        pressure: (pressure || 101300) / 100, // Convert Pa to hPa
-        wind_speed: this.convertSpeed(wind, units),
-        wind_gust: this.convertSpeed(gust, units),
-        wind_deg: windDir || 0,
-        pop: (pop || 0) / 100,
-        weather: [weatherCondition]
-      });
     }
 
-    return hourly;
-  },
-
-  // Build alerts from weather.gov data
-  buildAlerts (alertsData) {
-    if (!alertsData || !alertsData.features || alertsData.features.length === 0) {
-      return [];
+    if (data.current && data.daily && data.daily.length > 0) {
+      if (typeof data.current.sunrise !== "number" || typeof data.current.sunset !== "number") {
+        data.current.sunrise = data.daily[0].sunrise;
+        data.current.sunset = data.daily[0].sunset;
+      }
     }
-
-    return alertsData.features.map((feature) => {
-      const props = feature.properties;
-      return {
-        sender_name: props.senderName || "National Weather Service",
-        event: props.event || "Weather Alert",
-        start: props.onset
-          ? Math.floor(new Date(props.onset).getTime() / 1000)
-          : null,
-        end: props.ends
-          ? Math.floor(new Date(props.ends).getTime() / 1000)
-          : null,
-        description: props.description || "",
-        tags: [props.severity, props.urgency, props.certainty].filter(Boolean)
-      };
-    });
   },
 
   /**
-   * Build detailed forecast periods for modal display.
-   * Returns all forecast periods from the /forecast API for modal display.
-   * @param {Object} forecastData - Raw forecast data from weather.gov /forecast endpoint
-   * @returns {Array} Array of forecast period objects with name, detailedForecast, shortForecast,
-   *                  temperature, temperatureUnit, isDaytime, icon, and probabilityOfPrecipitation
+   * Fetch data through the configured provider(s).
+   * weatherProvider can be a single name or an ordered list of names. When a provider fails
+   * with a config, api or network error the next one in the list is tried.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {Promise<Object>} The normalized data; rejects with the last provider error
    */
-  buildDetailedForecastPeriods (forecastData) {
-    if (!forecastData?.properties?.periods) {
-      return [];
+  async fetchProviderData (payload) {
+    const providerNames = [].concat(payload.weatherProvider);
+    let lastError = null;
+
+    for (const [index, name] of providerNames.entries()) {
+      try {
+        const provider = this.providers[name];
+        if (!provider) {
+          Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** Unknown weather provider "${name}".`);
+          throw this.providerError("config", `Unknown weather provider "${name}"`);
+        }
+
+        const data = await provider.fetch(payload);
+        this.addAstronomyData(data);
+
+        // A provider can return capabilities with the data when it has less to offer than usual
+        const description = this.describeProvider(provider);
+        data.provider = {
+          ...description,
+          capabilities: {
+            ...description.capabilities,
+            ...data.capabilities
+          },
+          fallback: index > 0 // true when the primary provider failed
+        };
+        delete data.capabilities;
+        return data;
+      } catch (error) {
+        lastError = error;
+        if (!error.errorType) {
+          Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** ${error}\n${error.stack}`);
+        }
+        if (index < providerNames.length - 1) {
+          Log.warn(`[MMM-OpenWeatherForecast] Provider "${name}" failed, falling back to "${providerNames[index + 1]}"`);
+        }
+      }
     }
 
-    // Return all periods (14 periods = 7 days × day/night)
-    return forecastData.properties.periods.map((period) => ({
-      name: period.name,
-      detailedForecast: period.detailedForecast,
-      shortForecast: period.shortForecast,
-      temperature: period.temperature,
-      temperatureUnit: period.temperatureUnit,
-      isDaytime: period.isDaytime,
-      icon: period.icon,
-      probabilityOfPrecipitation: period.probabilityOfPrecipitation?.value ?? null
-    }));
+    throw lastError;
   }
 });
@@ -0,0 +1,1412 @@
+/**
+ ********************************
+ *
+ *Free weather provider for MMM-OpenWeatherForecast.
+ *
+ *Combines weather.gov (forecast, alerts, station observations) and the
+ *EPA UV index feed. Sunrise and sunset are calculated locally, and so
+ *is the UV index for the days and hours the EPA feed doesn't cover. No API key required,
+ *US locations only.
+ *A ZIP code is required for UV index data. Air quality comes from
+ *EPA AirNow, which needs the ZIP code and a free AirNow API key.
+ *Places and ZIP codes are looked up with OpenStreetMap Nominatim, and
+ *coordinates are named after the nearest city in the weather.gov points data.
+ *
+ ********************************
+ */
+
+const Log = require("logger");
+const moment = require("moment-timezone");
+const astronomy = require("../lib/astronomy");
+const uvIndex = require("../lib/uvindex");
+
+module.exports = {
+  name: "free",
+  label: "weather.gov",
+  capabilities: {
+    alerts: true,
+    minutely: false,
+    uv: true,
+    detailedPeriods: true,
+    airQuality: true
+  },
+
+  async fetch (payload) {
+    const {latitude, longitude, zipcode} = payload;
+
+    Log.info("[MMM-OpenWeatherForecast] Fetching from free providers (weather.gov, EPA)");
+
+    // First: fetch gridData (this caches grid coordinates needed for forecast)
+    const gridData = await this.fetchWeatherGovData(latitude, longitude);
+
+    if (!gridData) {
+      Log.error("[MMM-OpenWeatherForecast] Failed to fetch weather.gov data");
+      throw this.helper.providerError("api", "Failed to fetch weather.gov data");
+    }
+
+    // Now fetch forecast and other data in parallel (grid info is cached)
+    const [forecastData, observation, hourlyForecastData, uvData, alertsData, airNowData] = await Promise.all([
+      this.fetchWeatherGovForecast(latitude, longitude, payload.displayUnits),
+      this.fetchWeatherGovObservation(latitude, longitude),
+      this.fetchWeatherGovHourlyForecast(latitude, longitude),
+      zipcode
+        ? this.fetchEpaUvData(zipcode)
+        : Promise.resolve(null),
+      this.fetchWeatherGovAlerts(latitude, longitude),
+      payload.airQuality
+        ? this.fetchAirNowData(zipcode, payload.airnowApikey)
+        : Promise.resolve(null)
+    ]);
+
+    // Transform to OpenWeather format
+    const data = this.transformFreeDataToOpenWeatherFormat(gridData, forecastData, hourlyForecastData, uvData, alertsData, latitude, longitude);
+    if (observation) {
+      this.applyObservation(data, observation, payload.maxObservationAge);
+    }
+    if (airNowData) {
+      this.applyAirNowData(data, airNowData);
+    }
+    return data;
+  },
+
+  /**
+   * Look up a US place or ZIP code with OpenStreetMap Nominatim. The coordinates are
+   * rounded to 4 decimals, since weather.gov redirects requests with more.
+   * @param {Object} query - {location} or {postalCode}
+   * @returns {Promise<Object|null>} {latitude, longitude, name, zipcode}, or null if nothing was found
+   */
+  async geocode (query) {
+    const search = query.postalCode
+      ? `postalcode=${encodeURIComponent(query.postalCode)}`
+      : `q=${encodeURIComponent(query.location)}`;
+    const response = await this.helper.fetchWithRetry(`https://nominatim.openstreetmap.org/search?${search}&countrycodes=us&format=jsonv2&addressdetails=1&limit=1`, {
+      headers: {
+        "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module"
+      }
+    });
+
+    if (!response.ok) {
+      Log.error(`[MMM-OpenWeatherForecast] Nominatim geocoding error: ${response.status}`);
+      throw this.helper.providerError("api", `Nominatim geocoding error: ${response.status}`);
+    }
+
+    const [place] = await response.json();
+    if (!place) {
+      return null;
+    }
+
+    const address = place.address || {};
+    return {
+      latitude: Math.round(parseFloat(place.lat) * 10000) / 10000,
+      longitude: Math.round(parseFloat(place.lon) * 10000) / 10000,
+      name: [address.city || address.town || address.village || address.hamlet || address.county, address.state].filter(Boolean).join(", ") || place.display_name,
+      zipcode: query.postalCode || (address.postcode || "").split(/[;:-]/u)[0]
+    };
+  },
+
+  // Name the place with the nearest city in the weather.gov /points relativeLocation, kept with the grid info
+  async reverseGeocode (latitude, longitude) {
+    const gridInfo = await this.getGridInfo(latitude, longitude);
+    if (!gridInfo) {
+      throw this.helper.providerError("api", "weather.gov points API error");
+    }
+    return gridInfo.placeName;
+  },
+
+  // Fetch EPA AirNow current observations and daily forecasts by ZIP code
+  async fetchAirNowData (zipcode, apikey) {
+    if (!zipcode || !apikey) {
+      Log.warn("[MMM-OpenWeatherForecast] Air quality with the free provider needs a zipcode and an AirNow API key (AIRNOW_API_KEY)");
+      return null;
+    }
+
+    try {
+      const query = `?format=application/json&zipCode=${zipcode}&distance=25&API_KEY=${apikey}`;
+      const [currentResponse, forecastResponse] = await Promise.all([
+        this.helper.fetchWithRetry(`https://www.airnowapi.org/aq/observation/zipCode/current/${query}`),
+        this.helper.fetchWithRetry(`https://www.airnowapi.org/aq/forecast/zipCode/${query}`)
+      ]);
+
+      if (!currentResponse.ok || !forecastResponse.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] AirNow API error: ${currentResponse.status}/${forecastResponse.status}`);
+        return null;
+      }
+
+      return {
+        current: await currentResponse.json(),
+        forecast: await forecastResponse.json()
+      };
+    } catch (error) {
+      Log.error(`[MMM-OpenWeatherForecast] AirNow fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  /*
+   * AirNow reports one entry per pollutant. The overall AQI is the highest of them,
+   * and that pollutant is the dominant one. Forecasts are per day, so each hourly
+   * entry gets the forecast for its local date.
+   */
+  getAirNowAirQuality (entries) {
+    const valid = entries.filter((entry) => entry.Category && entry.Category.Number > 0);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    const worst = valid.reduce((a, b) => (b.Category.Number > a.Category.Number ||
+      (b.Category.Number === a.Category.Number && b.AQI > a.AQI)
+      ? b
+      : a));
+    return {
+      aqi: worst.AQI >= 0
+        ? worst.AQI
+        : null,
+      level: worst.Category.Number, // 1 (good) to 6 (hazardous)
+      label: worst.Category.Name,
+      pollutant: worst.ParameterName,
+      scale: "us-epa"
+    };
+  },
+
+  applyAirNowData (data, airNowData) {
+    const current = this.getAirNowAirQuality(airNowData.current || []);
+    if (current) {
+      data.current.air_quality = current;
+    }
+
+    const forecastByDate = {};
+    for (const entry of airNowData.forecast || []) {
+      const date = String(entry.DateForecast).trim();
+      forecastByDate[date] = forecastByDate[date] || [];
+      forecastByDate[date].push(entry);
+    }
+    for (const hour of data.hourly) {
+      const date = moment.unix(hour.dt).tz(data.timezone)
+        .format("YYYY-MM-DD");
+      const airQuality = this.getAirNowAirQuality(forecastByDate[date] || []);
+      if (airQuality) {
+        hour.air_quality = airQuality;
+      }
+    }
+  },
+
+  /**
+   * Get the weather.gov grid of a location from the /points API, and the nearest city
+   * as "City, ST" for reverseGeocode(). Cached, since a location's grid doesn't change;
+   * entries cached before the city was kept are looked up once more.
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Promise<Object|null>} {office, gridX, gridY, observationStations, placeName}, or null on an API error
+   */
+  async getGridInfo (latitude, longitude) {
+    const cacheKey = `${latitude},${longitude}`;
+    const cached = this.helper.gridPointCache[cacheKey];
+    if (cached && Object.hasOwn(cached, "placeName")) {
+      return cached;
+    }
+
+    const pointsUrl = `https://api.weather.gov/points/${latitude},${longitude}`;
+    const pointsResponse = await this.helper.fetchWithRetry(pointsUrl, {
+      cache: "no-store",
+      headers: {
+        "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
+        Accept: `application/geo+json;v=${Date.now()}`
+      }
+    });
+
+    if (!pointsResponse.ok) {
+      Log.error(`[MMM-OpenWeatherForecast] weather.gov points API error: ${pointsResponse.status}`);
+      return null;
+    }
+
+    const pointsData = await pointsResponse.json();
+    const place = pointsData.properties.relativeLocation?.properties;
+    const gridInfo = {
+      office: pointsData.properties.gridId,
+      gridX: pointsData.properties.gridX,
+      gridY: pointsData.properties.gridY,
+      observationStations: pointsData.properties.observationStations,
+      placeName: place
+        ? [place.city, place.state].filter(Boolean).join(", ")
+        : null
+    };
+    this.helper.gridPointCache[cacheKey] = gridInfo;
+    Log.info(`[MMM-OpenWeatherForecast] Cached grid info: ${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}`);
+    return gridInfo;
+  },
+
+  // Fetch weather.gov grid data
+  async fetchWeatherGovData (latitude, longitude) {
+    const userAgent = "MMM-OpenWeatherForecast MagicMirror Module";
+
+    try {
+      // Get grid coordinates (cached)
+      const gridInfo = await this.getGridInfo(latitude, longitude);
+      if (!gridInfo) {
+        return null;
+      }
+
+      // Fetch raw gridpoint data
+      const gridUrl = `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}`;
+      const gridResponse = await this.helper.fetchWithRetry(gridUrl, {
+        cache: "no-store",
+        headers: {
+          "User-Agent": userAgent,
+          Accept: `application/geo+json;v=${Date.now()}`
+        }
+      });
+
+      if (!gridResponse.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] weather.gov gridpoints API error: ${gridResponse.status}`);
+        return null;
+      }
+
+      return await gridResponse.json();
+    } catch (error) {
+      Log.error(`[MMM-OpenWeatherForecast] weather.gov fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  /**
+   * Fetch the latest observation from the station nearest to the forecast point.
+   * The station list from /points is sorted by distance, so the first one is used.
+   * It is looked up once and kept with the cached grid info.
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Promise<Object|null>} The observation's properties, or null when unavailable
+   */
+  async fetchWeatherGovObservation (latitude, longitude) {
+    const gridInfo = this.helper.gridPointCache[`${latitude},${longitude}`];
+    if (!gridInfo) {
+      return null;
+    }
+
+    const options = {
+      cache: "no-store",
+      headers: {
+        "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
+        Accept: `application/geo+json;v=${Date.now()}`
+      }
+    };
+
+    try {
+      if (!gridInfo.stationId) {
+        // Grid info cached before stations were looked up has no observationStations
+        const stationsUrl = gridInfo.observationStations || `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}/stations`;
+        const stationsResponse = await this.helper.fetchWithRetry(stationsUrl, options);
+        if (!stationsResponse.ok) {
+          Log.warn(`[MMM-OpenWeatherForecast] weather.gov stations API error: ${stationsResponse.status}`);
+          return null;
+        }
+        const stationsData = await stationsResponse.json();
+        const nearest = stationsData.features?.[0]?.properties;
+        if (!nearest) {
+          Log.warn("[MMM-OpenWeatherForecast] No weather.gov observation station found");
+          return null;
+        }
+        gridInfo.stationId = nearest.stationIdentifier;
+        gridInfo.stationName = nearest.name;
+        Log.info(`[MMM-OpenWeatherForecast] Using observation station ${gridInfo.stationId} (${gridInfo.stationName})`);
+      }
+
+      const url = `https://api.weather.gov/stations/${gridInfo.stationId}/observations/latest`;
+      const response = await this.helper.fetchWithRetry(url, options);
+      if (!response.ok) {
+        Log.warn(`[MMM-OpenWeatherForecast] weather.gov observation API error: ${response.status}`);
+        return null;
+      }
+      const observation = await response.json();
+      return {
+        stationId: gridInfo.stationId,
+        stationName: gridInfo.stationName,
+        ...observation.properties
+      };
+    } catch (error) {
+      Log.warn(`[MMM-OpenWeatherForecast] weather.gov observation fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  /**
+   * Replace the forecast values in current with the station's measurements.
+   * The forecast values are kept when the observation has no temperature or is
+   * older than maxAge, and for any other reading the station didn't report.
+   * @param {Object} data - The transformed data
+   * @param {Object} observation - The observation from fetchWeatherGovObservation
+   * @param {number} maxAge - Maximum age of the observation in minutes
+   */
+  applyObservation (data, observation, maxAge) {
+    const value = (field) => observation[field]?.value ?? null;
+    const observedAt = moment(observation.timestamp);
+    const age = moment().diff(observedAt, "minutes");
+
+    if (value("temperature") === null || !observedAt.isValid() || age > maxAge) {
+      Log.info(`[MMM-OpenWeatherForecast] Observation from ${observation.stationId} is missing or ${age} min old, using forecast values for current conditions`);
+      return;
+    }
+
+    const current = data.current;
+    const temp = value("temperature");
+    current.temp = temp;
+    // weather.gov only reports heat index and wind chill when they apply
+    current.feels_like = value("heatIndex") ?? value("windChill") ?? temp;
+
+    if (value("relativeHumidity") !== null) {
+      current.humidity = value("relativeHumidity");
+    }
+    if (value("dewpoint") !== null) {
+      current.dew_point = value("dewpoint");
+    }
+    const pressure = value("seaLevelPressure") ?? value("barometricPressure");
+    if (pressure !== null) {
+      current.pressure = pressure / 100; // Convert Pa to hPa
+    }
+    if (value("visibility") !== null) {
+      current.visibility = value("visibility");
+    }
+    if (value("windSpeed") !== null) {
+      current.wind_speed = this.helper.convertSpeed(value("windSpeed"));
+      current.wind_gust = this.helper.convertSpeed(value("windGust")); // null: no gusts reported
+      current.wind_deg = value("windDirection") ?? current.wind_deg;
+    }
+
+    // Keep day or night from the forecast condition
+    const isDaytime = !current.weather[0] || current.weather[0].icon.endsWith("d");
+    const condition = this.parseShortForecast(observation.textDescription, isDaytime);
+    if (condition) {
+      current.weather = [condition];
+    }
+
+    current.observation = {
+      station: observation.stationId,
+      stationName: observation.stationName,
+      time: observedAt.unix()
+    };
+  },
+
+  /**
+   * Sunrise and sunset for the local day that contains date, calculated locally
+   * @param {Date} date - Any time on the day
+   * @param {string} timezone - IANA timezone of the location
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Object} {sunrise, sunset} as Unix timestamps, null during midnight sun or polar night
+   */
+  getSunTimes (date, timezone, latitude, longitude) {
+    const localNoon = moment(date).tz(timezone).hour(12).startOf("hour");
+    const times = astronomy.getSunTimes(localNoon.toDate(), latitude, longitude);
+    const toUnix = (time) => (time
+      ? Math.floor(time.getTime() / 1000)
+      : null);
+    return {
+      sunrise: toUnix(times.sunrise),
+      sunset: toUnix(times.sunset)
+    };
+  },
+
+  // Fetch EPA UV index data
+  async fetchEpaUvData (zipcode) {
+    try {
+      const url = `https://data.epa.gov/efservice/getEnvirofactsUVHOURLY/ZIP/${zipcode}/JSON`;
+      const response = await this.helper.fetchWithRetry(url);
+
+      if (!response.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] EPA UV API error: ${response.status}`);
+        return null;
+      }
+
+      const data = await response.json();
+      return Array.isArray(data) && data.length > 0
+        ? data
+        : null;
+    } catch (error) {
+      Log.error(`[MMM-OpenWeatherForecast] EPA UV fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  /**
+   * Extract hour (0-23) from EPA UV data item
+   * EPA DATE_TIME format: "DEC/20/2025 03 AM" or similar
+   * Note: EPA UV times are in local time for the zipcode location
+   * @param {Object} item - EPA UV data item
+   * @returns {number} Hour in 24-hour format (0-23)
+   */
+  getUvHour (item) {
+    if (item.DATE_TIME) {
+      const match = item.DATE_TIME.match(/(?<hour>\d{1,2})\s*(?<period>AM|PM)/iu);
+      if (match) {
+        let hour = parseInt(match.groups.hour, 10);
+        const isPM = match.groups.period.toUpperCase() === "PM";
+        if (isPM && hour !== 12) {
+          hour += 12;
+        }
+        if (!isPM && hour === 12) {
+          hour = 0;
+        }
+        return hour;
+      }
+    }
+
+    /*
+     * Fallback: assume ORDER 1 = 3 AM, so hour = ORDER + 2
+     * This covers 3 AM to 11 PM (typical UV forecast range)
+     */
+    return (item.ORDER || 0) + 2;
+  },
+
+  /**
+   * UV index for the hour that contains time, from EPA hourly data.
+   * EPA only covers the daylight hours of the current day: other hours of that
+   * day are 0, and hours on days it doesn't cover are null.
+   * @param {Array|null} uvData - EPA UV data items
+   * @param {Date} time - Any time in the hour
+   * @param {string} timezone - IANA timezone of the location (EPA times are local)
+   * @returns {number|null} UV index
+   */
+  getUvAtHour (uvData, time, timezone) {
+    if (!uvData) {
+      return null;
+    }
+    const localTime = moment(time).tz(timezone);
+    const localDate = localTime.format("MMM/DD/YYYY").toUpperCase();
+    // Items without DATE_TIME are taken to be for today
+    const today = moment().tz(timezone)
+      .format("MMM/DD/YYYY")
+      .toUpperCase();
+    const itemDate = (item) => (item.DATE_TIME
+      ? item.DATE_TIME.split(" ")[0].toUpperCase()
+      : today);
+
+    const dayItems = uvData.filter((item) => itemDate(item) === localDate);
+    if (dayItems.length === 0) {
+      return null;
+    }
+    const item = dayItems.find((entry) => this.getUvHour(entry) === localTime.hour());
+    return item
+      ? item.UV_VALUE || 0
+      : 0;
+  },
+
+  /**
+   * Estimated UV index for a moment, from the UV model and the gridpoint sky cover
+   * @param {Object} props - Gridpoints properties
+   * @param {Date} time - The moment to estimate the UV index for
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {number} UV index, rounded to one decimal
+   */
+  estimateUvi (props, time, latitude, longitude) {
+    let skyCover = 0;
+    for (const item of props.skyCover?.values || []) {
+      const [start, duration] = this.parseValidTime(item.validTime);
+      if (time >= start && time.getTime() < start.getTime() + duration) {
+        skyCover = item.value ?? 0;
+        break;
+      }
+    }
+    const uvi = uvIndex.getUvi(time, latitude, longitude, skyCover, props.elevation?.value ?? 0);
+    return Math.round(uvi * 10) / 10;
+  },
+
+  // Highest estimated UV index of the hours in the local day of date (from now on for today)
+  estimateDailyMaxUvi (props, date, timezone, latitude, longitude, futureOnly = false) {
+    const dayStart = moment(date).tz(timezone)
+      .startOf("day");
+    const nowMs = Date.now();
+    let maxUvi = 0;
+    for (let hour = 0; hour < 24; hour++) {
+      const time = dayStart.clone().add(hour, "hours")
+        .toDate();
+      if (!futureOnly || time.getTime() + 3600000 > nowMs) {
+        maxUvi = Math.max(maxUvi, this.estimateUvi(props, time, latitude, longitude));
+      }
+    }
+    return maxUvi;
+  },
+
+  // Fetch weather.gov alerts
+  async fetchWeatherGovAlerts (latitude, longitude) {
+    try {
+      const url = `https://api.weather.gov/alerts/active?point=${latitude},${longitude}`;
+      const response = await this.helper.fetchWithRetry(url, {
+        cache: "no-store",
+        headers: {
+          "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
+          Accept: `application/geo+json;v=${Date.now()}`
+        }
+      });
+
+      if (!response.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] weather.gov alerts API error: ${response.status}`);
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      Log.error(`[MMM-OpenWeatherForecast] weather.gov alerts fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  // Fetch weather.gov forecast (12-hour periods with high/low temps and the forecast text)
+  async fetchWeatherGovForecast (latitude, longitude, displayUnits) {
+    const cacheKey = `${latitude},${longitude}`;
+    const gridInfo = this.helper.gridPointCache[cacheKey];
+
+    if (!gridInfo) {
+      Log.warn("[MMM-OpenWeatherForecast] Grid info not cached, cannot fetch forecast");
+      return null;
+    }
+
+    // The forecast text is written in the units the module displays; temperatures are
+    // brought to °C with getPeriodCelsius(). "metric" and "standard" both map to "si"
+    const unitsParam = displayUnits === "imperial"
+      ? "us"
+      : "si";
+    const url = `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}/forecast?units=${unitsParam}`;
+
+    try {
+      const response = await this.helper.fetchWithRetry(url, {
+        cache: "no-store",
+        headers: {
+          "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
+          Accept: `application/geo+json;v=${Date.now()}`
+        }
+      });
+
+      if (!response.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] weather.gov forecast API error: ${response.status}`);
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      Log.error(`[MMM-OpenWeatherForecast] weather.gov forecast fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  // Fetch weather.gov hourly forecast (168 hours with conditions)
+  async fetchWeatherGovHourlyForecast (latitude, longitude) {
+    const cacheKey = `${latitude},${longitude}`;
+    const gridInfo = this.helper.gridPointCache[cacheKey];
+
+    if (!gridInfo) {
+      Log.warn("[MMM-OpenWeatherForecast] Grid info not cached, cannot fetch hourly forecast");
+      return null;
+    }
+
+    const url = `https://api.weather.gov/gridpoints/${gridInfo.office}/${gridInfo.gridX},${gridInfo.gridY}/forecast/hourly`;
+
+    try {
+      const response = await this.helper.fetchWithRetry(url, {
+        cache: "no-store",
+        headers: {
+          "User-Agent": "MMM-OpenWeatherForecast MagicMirror Module",
+          Accept: `application/geo+json;v=${Date.now()}`
+        }
+      });
+
+      if (!response.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] weather.gov hourly forecast API error: ${response.status}`);
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      Log.error(`[MMM-OpenWeatherForecast] weather.gov hourly forecast fetch error: ${error}`);
+      return null;
+    }
+  },
+
+  /**
+   * Get current hour in a specific timezone
+   * @param {string} timezone - IANA timezone (e.g., "America/Chicago")
+   * @returns {number} Current hour (0-23) in that timezone
+   */
+  getLocalHour (timezone) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hour: "numeric",
+      hour12: false
+    });
+    return parseInt(formatter.format(new Date()), 10);
+  },
+
+  // Transform free provider data to OpenWeather format
+   
+  transformFreeDataToOpenWeatherFormat (gridData, forecastData, hourlyForecastData, uvData, alertsData, latitude, longitude) {
+    const props = gridData.properties;
+    const now = new Date();
+    const timezone = props.timeZone || "America/Chicago";
+    const hourlyPeriods = hourlyForecastData?.properties?.periods || [];
+    const todaySun = this.getSunTimes(now, timezone, latitude, longitude);
+
+    // Helper to get current value from a weather.gov time series
+    const getCurrentValue = (series) => {
+      if (!series || !series.values || series.values.length === 0) {
+        return null;
+      }
+      const nowMs = now.getTime();
+      for (const item of series.values) {
+        const [start, duration] = this.parseValidTime(item.validTime);
+        const end = new Date(start.getTime() + duration);
+        if (nowMs >= start.getTime() && nowMs < end.getTime()) {
+          return item.value;
+        }
+      }
+      // If no current match, return first value
+      return series.values[0].value;
+    };
+
+    // Get current UV index from EPA data
+    const getCurrentUv = () => {
+      if (!uvData) {
+        return 0;
+      }
+      const currentHour = now.getHours();
+      for (const item of uvData) {
+        if (this.getUvHour(item) === currentHour) {
+          return item.UV_VALUE || 0;
+        }
+      }
+      // Return max UV for day if current hour not found
+      return Math.max(...uvData.map((item) => item.UV_VALUE || 0));
+    };
+
+    // Get current weather condition from hourly forecast (first period)
+    const currentHourlyPeriod = hourlyPeriods[0];
+    const parsedCurrentCondition = currentHourlyPeriod
+      ? this.parseShortForecast(currentHourlyPeriod.shortForecast, currentHourlyPeriod.isDaytime)
+      : null;
+    const currentWeatherCondition = parsedCurrentCondition
+      ? [parsedCurrentCondition]
+      : this.getWeatherCondition(props, todaySun);
+
+    // Build current conditions
+    const current = {
+      dt: Math.floor(now.getTime() / 1000),
+      temp: getCurrentValue(props.temperature),
+      feels_like: getCurrentValue(props.apparentTemperature),
+      humidity: getCurrentValue(props.relativeHumidity),
+      dew_point: getCurrentValue(props.dewpoint),
+      pressure: getCurrentValue(props.pressure) / 100, // Convert Pa to hPa
+      visibility: getCurrentValue(props.visibility), // meters
+      wind_speed: this.helper.convertSpeed(getCurrentValue(props.windSpeed)),
+      wind_gust: this.helper.convertSpeed(getCurrentValue(props.windGust)),
+      wind_deg: getCurrentValue(props.windDirection),
+      uvi: getCurrentUv(),
+      clouds: getCurrentValue(props.skyCover),
+      sunrise: todaySun.sunrise,
+      sunset: todaySun.sunset,
+      weather: currentWeatherCondition
+    };
+
+    // Build daily forecast using forecast periods for high/low temps
+    const daily = this.buildDailyForecast(props, forecastData, uvData, timezone, latitude, longitude);
+
+    // Build hourly forecast
+    const hourly = this.buildHourlyForecast(props, hourlyPeriods, uvData, timezone, latitude, longitude);
+
+    // Build alerts
+    const alerts = this.buildAlerts(alertsData);
+
+    // Build detailed forecast periods for modal display
+    const forecastPeriods = this.buildDetailedForecastPeriods(forecastData);
+
+    return {
+      lat: latitude,
+      lon: longitude,
+      timezone: props.timeZone || "America/Chicago",
+      timezone_offset: 0,
+      current,
+      daily,
+      hourly,
+      alerts,
+      forecastPeriods
+    };
+  },
+
+  // Parse weather.gov validTime format: "2024-12-17T18:00:00+00:00/PT3H"
+  parseValidTime (validTime) {
+    const parts = validTime.split("/");
+    const start = new Date(parts[0]);
+    let durationMs = 3600000; // default 1 hour
+
+    if (parts[1]) {
+      const durationStr = parts[1];
+      const match = durationStr.match(/PT?(?<num>\d+)(?<unit>[HMD])/iu);
+      if (match) {
+        const value = parseInt(match.groups.num, 10);
+        const unit = match.groups.unit.toUpperCase();
+        if (unit === "H") {
+          durationMs = value * 3600000;
+        } else if (unit === "M") {
+          durationMs = value * 60000;
+        } else if (unit === "D") {
+          durationMs = value * 86400000;
+        }
+      }
+    }
+
+    return [start, durationMs];
+  },
+
+  // Get weather condition at a specific time from weather.gov weather series
+  getWeatherAtTime (props, targetTime) {
+    if (!props.weather || !props.weather.values) {
+      return null;
+    }
+
+    const targetMs = targetTime.getTime();
+
+    for (const item of props.weather.values) {
+      const [start, duration] = this.parseValidTime(item.validTime);
+      const end = new Date(start.getTime() + duration);
+      if (targetMs >= start.getTime() && targetMs < end.getTime()) {
+        // weather.gov weather.value is an array of conditions
+        if (item.value && item.value.length > 0) {
+          return item.value[0];
+        }
+      }
+    }
+    return null;
+  },
+
+  // Get weather condition from weather.gov data
+  getWeatherCondition (props, sunTimes = null) {
+    const now = new Date();
+    const condition = this.getWeatherAtTime(props, now);
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    // Map weather.gov conditions to OpenWeather-like format
+    const mapping = this.mapWeatherCondition(condition, timestamp, sunTimes?.sunrise, sunTimes?.sunset);
+    return [mapping];
+  },
+
+  // Map weather.gov condition to OpenWeather format
+   
+  mapWeatherCondition (condition, timestamp = null, sunrise = null, sunset = null) {
+    // Determine day/night based on sunrise/sunset if available
+    const checkTime = timestamp
+      ? new Date(timestamp * 1000)
+      : new Date();
+
+    const isDay = sunrise && sunset
+      ? checkTime >= new Date(sunrise * 1000) && checkTime < new Date(sunset * 1000)
+      : checkTime.getHours() >= 6 && checkTime.getHours() < 18;
+
+    const dayNight = isDay
+      ? "d"
+      : "n";
+
+    if (!condition) {
+      return {id: 800, main: "Clear", description: "clear sky", icon: `01${dayNight}`};
+    }
+
+    const weather = condition.weather || "";
+    const coverage = condition.coverage || "";
+    const intensity = condition.intensity || "";
+
+    // Simplified mapping - replace underscores with spaces for proper formatting
+    const desc = `${coverage} ${intensity} ${weather}`
+      .replace(/_/gu, " ")
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/gu, " ");
+
+    if (weather.includes("thunder") || weather.includes("storm")) {
+      return {id: 200, main: "Thunderstorm", description: desc, icon: `11${dayNight}`};
+    }
+    if (weather.includes("snow") || weather.includes("blizzard")) {
+      return {id: 600, main: "Snow", description: desc, icon: `13${dayNight}`};
+    }
+    if (weather.includes("rain") || weather.includes("drizzle") || weather.includes("showers")) {
+      if (intensity === "light") {
+        return {id: 500, main: "Rain", description: desc, icon: `10${dayNight}`};
+      }
+      return {id: 501, main: "Rain", description: desc, icon: `10${dayNight}`};
+    }
+    if (weather.includes("fog") || weather.includes("mist") || weather.includes("haze")) {
+      return {id: 741, main: "Fog", description: desc, icon: `50${dayNight}`};
+    }
+    if (weather.includes("cloud") || coverage.includes("overcast") || coverage.includes("mostly")) {
+      if (coverage.includes("few") || coverage.includes("partly")) {
+        return {id: 801, main: "Clouds", description: desc, icon: `02${dayNight}`};
+      }
+      if (coverage.includes("scattered")) {
+        return {id: 802, main: "Clouds", description: desc, icon: `03${dayNight}`};
+      }
+      return {id: 804, main: "Clouds", description: desc, icon: `04${dayNight}`};
+    }
+    if (weather.includes("wind")) {
+      return {id: 771, main: "Wind", description: desc, icon: `50${dayNight}`};
+    }
+
+    // Default to clear
+    return {id: 800, main: "Clear", description: "clear sky", icon: `01${dayNight}`};
+  },
+
+  /**
+   * Parse probability qualifier from forecast text.
+   * NWS probability terms: https://www.weather.gov/bgm/forecast_terms
+   * @param {string} text - Lowercase forecast text
+   * @returns {Object} { qualifier: string, probability: number, cleanText: string }
+   */
+  parseProbability (text) {
+    // Order matters: check more specific phrases before general ones
+
+    // ~20% probability
+    if (text.includes("slight chance")) {
+      return {qualifier: "slight_chance", probability: 0.2, cleanText: text.replace(/slight chance/gu, "").trim()};
+    }
+    if (text.includes("isolated")) {
+      return {qualifier: "isolated", probability: 0.2, cleanText: text.replace(/isolated/gu, "").trim()};
+    }
+    if (text.includes("widely scattered")) {
+      return {qualifier: "widely_scattered", probability: 0.2, cleanText: text.replace(/widely scattered/gu, "").trim()};
+    }
+
+    // ~70% probability (check before "chance" since "likely" is more specific)
+    if (text.includes("likely")) {
+      return {qualifier: "likely", probability: 0.7, cleanText: text.replace(/likely/gu, "").trim()};
+    }
+    if (text.includes("numerous")) {
+      return {qualifier: "numerous", probability: 0.7, cleanText: text.replace(/numerous/gu, "").trim()};
+    }
+
+    // ~40% probability
+    if (text.includes("scattered")) {
+      return {qualifier: "scattered", probability: 0.4, cleanText: text.replace(/scattered/gu, "").trim()};
+    }
+    if (text.includes("chance")) {
+      return {qualifier: "chance", probability: 0.4, cleanText: text.replace(/chance/gu, "").trim()};
+    }
+
+    // 100% probability (categorical)
+    return {qualifier: "categorical", probability: 1.0, cleanText: text};
+  },
+
+  /**
+   * Get weather condition with severity score from forecast text
+   * @param {string} text - Lowercase forecast text (with probability removed)
+   * @param {boolean} isDaytime - Whether it's daytime
+   * @returns {Object} { severity, icon, id, main }
+   */
+  getWeatherConditionFromText (text, isDaytime) {
+    const dayNight = isDaytime
+      ? "d"
+      : "n";
+
+    // Severe weather (highest severity)
+    if (text.includes("thunder") || text.includes("storm") || text.includes("hail")) {
+      return {severity: 100, icon: `11${dayNight}`, id: 200, main: "Thunderstorm"};
+    }
+
+    // Freezing/mixed precipitation (very high severity)
+    if (text.includes("freezing") || text.includes("ice") || text.includes("sleet") || text.includes("wintry mix")) {
+      return {severity: 90, icon: `13${dayNight}`, id: 611, main: "Sleet"};
+    }
+    if (text.includes("rain") && text.includes("snow")) {
+      // "Rain and Snow" or "Rain/Snow" mix
+      return {severity: 85, icon: `13${dayNight}`, id: 616, main: "Sleet"};
+    }
+
+    // Snow (high severity)
+    if (text.includes("snow") || text.includes("blizzard") || text.includes("flurries") || text.includes("graupel")) {
+      return {severity: 80, icon: `13${dayNight}`, id: 600, main: "Snow"};
+    }
+
+    // Rain (moderate-high severity)
+    if (text.includes("rain") || text.includes("showers") || text.includes("drizzle")) {
+      return {severity: 70, icon: `10${dayNight}`, id: 500, main: "Rain"};
+    }
+
+    // Atmospheric conditions (medium severity)
+    if (text.includes("fog") || text.includes("mist") || text.includes("haze") || text.includes("smoke")) {
+      return {severity: 40, icon: `50${dayNight}`, id: 741, main: "Fog"};
+    }
+
+    // Wind conditions
+    if (text.includes("wind") || text.includes("breezy") || text.includes("blustery")) {
+      return {severity: 30, icon: `50${dayNight}`, id: 771, main: "Wind"};
+    }
+
+    // Cloud cover (low severity) - check more specific phrases first
+    if (text.includes("partly cloudy") || text.includes("partly sunny")) {
+      return {severity: 15, icon: `02${dayNight}`, id: 801, main: "Clouds"};
+    }
+    if (text.includes("mostly cloudy") || text.includes("cloudy") || text.includes("overcast")) {
+      return {severity: 20, icon: `04${dayNight}`, id: 804, main: "Clouds"};
+    }
+
+    // Clear (lowest severity) - "mostly sunny/clear" now maps to clear
+    if (text.includes("sunny") || text.includes("clear")) {
+      return {severity: 10, icon: `01${dayNight}`, id: 800, main: "Clear"};
+    }
+
+    // Default to clear
+    return {severity: 10, icon: `01${dayNight}`, id: 800, main: "Clear"};
+  },
+
+  /**
+   * Parse shortForecast text from /forecast API into weather condition object.
+   * Handles compound forecasts like "Chance Rain then Mostly Sunny" by:
+   * 1. Splitting on " then " to get individual conditions
+   * 2. Extracting probability qualifiers (slight chance=20%, chance=40%, likely=70%)
+   * 3. Scoring each condition as: severity × probability
+   * 4. Returning the highest-scoring condition
+   *
+   * Special rule: Low probability (20%) precipitation is downgraded to "Partly Cloudy"
+   * to avoid showing rain/snow icons for unlikely events.
+   *
+   * @param {string} shortForecast - Text like "Sunny", "Mostly Cloudy", "Chance Light Snow"
+   * @param {boolean} isDaytime - Whether it's daytime (from forecast period)
+   * @returns {Object|null} Weather condition object matching OpenWeather format, or null if empty
+   */
+  parseShortForecast (shortForecast, isDaytime) {
+    if (!shortForecast || !shortForecast.trim()) {
+      return null;
+    }
+
+    const dayNight = isDaytime
+      ? "d"
+      : "n";
+
+    // Split on " then " to handle compound forecasts
+    const parts = shortForecast.toLowerCase().split(" then ");
+
+    let bestCondition = null;
+    let bestScore = -1;
+
+    for (const part of parts) {
+      // Parse probability qualifier
+      const {qualifier, probability, cleanText} = this.parseProbability(part);
+
+      // Get weather condition with severity
+      const condition = this.getWeatherConditionFromText(cleanText, isDaytime);
+
+      // Calculate score: severity * probability
+      let score = condition.severity * probability;
+
+      // Special rule: low probability precipitation (20%) gets downgraded to partly cloudy
+      let finalCondition = condition;
+      const isLowProbability = qualifier === "slight_chance" || qualifier === "isolated" || qualifier === "widely_scattered";
+      if (isLowProbability && condition.severity >= 70) {
+        finalCondition = {
+          severity: 15,
+          icon: `02${dayNight}`,
+          id: 801,
+          main: "Clouds"
+        };
+        score = 15;
+      }
+
+      // Track best condition (first one wins ties via > not >=)
+      if (score > bestScore) {
+        bestScore = score;
+        bestCondition = {
+          id: finalCondition.id,
+          main: finalCondition.main,
+          description: shortForecast.toLowerCase(),
+          icon: finalCondition.icon
+        };
+      }
+    }
+
+    return bestCondition;
+  },
+
+  /**
+   * Find the hourly forecast period that contains the given time
+   * @param {Array} periods - Hourly forecast periods from /forecast/hourly API
+   * @param {Date} targetTime - The time to find a period for
+   * @returns {Object|null} The matching forecast period or null
+   */
+  findHourlyPeriod (periods, targetTime) {
+    if (!periods || periods.length === 0) {
+      return null;
+    }
+
+    const targetMs = targetTime.getTime();
+
+    for (const period of periods) {
+      const start = new Date(period.startTime).getTime();
+      const end = new Date(period.endTime).getTime();
+
+      if (targetMs >= start && targetMs < end) {
+        return period;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Get values for a specific day from a weather.gov time series
+   * @param {Object} series - The time series data (e.g., props.windSpeed)
+   * @param {Date} baseDate - The base date (usually now)
+   * @param {number} dayOffset - Days from baseDate (0 = today)
+   * @param {boolean} useOverlap - If true, include periods that overlap with target day
+   * @param {boolean} futureOnly - If true, only include periods that haven't ended yet (for day 0)
+   * @param {string} timezone - IANA timezone name for calculating day boundaries
+   * @returns {Array} Array of values for that day
+   */
+  getValuesForDay (series, baseDate, dayOffset, useOverlap = false, futureOnly = false, timezone = null) {
+    if (!series || !series.values) {
+      return [];
+    }
+    const targetDate = new Date(baseDate);
+    targetDate.setDate(targetDate.getDate() + dayOffset);
+
+    if (useOverlap) {
+      // Calculate day boundaries in location's timezone
+      const tz = timezone || "America/Chicago";
+      const dayStart = moment(targetDate).tz(tz)
+        .startOf("day");
+      const dayStartMs = dayStart.valueOf();
+      const dayEndMs = dayStartMs + 86400000; // 24 hours in ms
+      const nowMs = Date.now();
+
+      return series.values.filter((item) => {
+        const [start, duration] = this.parseValidTime(item.validTime);
+        const startMs = start.getTime();
+        const endMs = startMs + duration;
+
+        // Must overlap with target day
+        const overlapsDay = startMs < dayEndMs && endMs > dayStartMs;
+
+        // If futureOnly, period must not have ended yet
+        if (futureOnly && dayOffset === 0) {
+          return overlapsDay && endMs > nowMs;
+        }
+        return overlapsDay;
+      }).map((item) => item.value);
+    }
+
+    // Match target day against weather.gov timestamps (both in local time)
+    const targetDay = moment(targetDate).format("YYYY-MM-DD");
+    return series.values.filter((item) => {
+      const [start] = this.parseValidTime(item.validTime);
+      return moment(start).format("YYYY-MM-DD") === targetDay;
+    }).map((item) => item.value);
+  },
+
+  /**
+   * Extract day/night period temperatures from forecast data
+   * @param {Array} periods - Forecast periods from /forecast API
+   * @param {number} periodIdx - Current index in periods array
+   * @returns {Object} { dayPeriod, nightPeriod, newPeriodIdx }
+   */
+  extractForecastPeriods (periods, periodIdx) {
+    let dayPeriod = null;
+    let nightPeriod = null;
+    let idx = periodIdx;
+
+    // Check for day period (if available)
+    if (idx < periods.length && periods[idx].isDaytime) {
+      dayPeriod = periods[idx];
+      idx++;
+    }
+
+    // Check for night period (if available)
+    if (idx < periods.length && !periods[idx].isDaytime) {
+      nightPeriod = periods[idx];
+      idx++;
+    }
+
+    return {dayPeriod, nightPeriod, newPeriodIdx: idx};
+  },
+
+  /**
+   * Calculate daily aggregates (wind, precip, etc.) from gridpoints data
+   * @param {Object} props - Gridpoints properties
+   * @param {Date} baseDate - Base date for calculations
+   * @param {number} dayOffset - Days from baseDate
+   * @param {string} timezone - IANA timezone name for calculating day boundaries
+   * @returns {Object} Aggregated values for the day
+   */
+  calculateDailyAggregates (props, baseDate, dayOffset, timezone) {
+    const tz = timezone || props.timeZone || "America/Chicago";
+    // For today (dayOffset 0), only include current and future periods
+    const futureOnly = dayOffset === 0;
+
+    const validWindSpeeds = this.getValuesForDay(props.windSpeed, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
+    const validWindGusts = this.getValuesForDay(props.windGust, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
+    const validPops = this.getValuesForDay(props.probabilityOfPrecipitation, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
+    const rain = this.getValuesForDay(props.quantitativePrecipitation, baseDate, dayOffset, true, futureOnly, tz);
+    const snow = this.getValuesForDay(props.snowfallAmount, baseDate, dayOffset, true, futureOnly, tz);
+    const humidityValues = this.getValuesForDay(props.relativeHumidity, baseDate, dayOffset, true, futureOnly, tz).filter((v) => v !== null);
+
+    return {
+      maxWind: validWindSpeeds.length > 0
+        ? Math.max(...validWindSpeeds)
+        : null,
+      maxGust: validWindGusts.length > 0
+        ? Math.max(...validWindGusts)
+        : null,
+      maxPop: validPops.length > 0
+        ? Math.max(...validPops)
+        : 0,
+      totalRain: rain.length > 0
+        ? rain.reduce((a, b) => (a || 0) + (b || 0), 0)
+        : 0,
+      totalSnow: snow.length > 0
+        ? snow.reduce((a, b) => (a || 0) + (b || 0), 0)
+        : 0,
+      avgHumidity: humidityValues.length > 0
+        ? humidityValues.reduce((sum, v) => sum + v, 0) / humidityValues.length
+        : 50,
+      windDeg: this.getValuesForDay(props.windDirection, baseDate, dayOffset)[0] || 0
+    };
+  },
+
+  // Build daily forecast using /forecast periods for high/low temps
+   
+  buildDailyForecast (props, forecastData, uvData, timezone, latitude, longitude) {
+    const daily = [];
+    const now = new Date();
+    const tz = timezone || props.timeZone || "America/Chicago";
+    const currentHour = this.getLocalHour(tz);
+
+    // Calculate max UV for current and remaining hours today from EPA data (only available for current day)
+    const hasEpaUv = Boolean(uvData && uvData.length > 0);
+    const todayMaxUv = hasEpaUv
+      ? Math.max(...uvData
+        .filter((item) => this.getUvHour(item) >= currentHour)
+        .map((item) => item.UV_VALUE || 0), 0)
+      : 0;
+
+    // Get forecast periods (day and night temperatures)
+    const periods = forecastData?.properties?.periods || [];
+    let periodIdx = 0;
+
+    // Build 7 days of forecast
+    for (let i = 0; i < 7; i++) {
+      const date = new Date(now);
+      date.setDate(date.getDate() + i);
+      date.setHours(12, 0, 0, 0); // Noon for daily icon
+
+      // Extract day/night periods for temps
+      const {dayPeriod, nightPeriod, newPeriodIdx} = this.extractForecastPeriods(periods, periodIdx);
+      periodIdx = newPeriodIdx;
+
+      const highTemp = this.getPeriodCelsius(dayPeriod);
+      const lowTemp = this.getPeriodCelsius(nightPeriod);
+
+      // Get aggregates from gridpoints data
+      const agg = this.calculateDailyAggregates(props, now, i, tz);
+
+      // Get weather condition from forecast period (prefer day, fallback to night)
+      const forecastPeriod = dayPeriod || nightPeriod;
+      const parsedDailyCondition = forecastPeriod
+        ? this.parseShortForecast(forecastPeriod.shortForecast, forecastPeriod.isDaytime)
+        : null;
+      const weatherCondition = parsedDailyCondition || this.mapWeatherCondition(null, null, null, null);
+
+      const timestamp = Math.floor(date.getTime() / 1000);
+      const sunTimes = this.getSunTimes(date, tz, latitude, longitude);
+
+      daily.push({
+        dt: timestamp,
+        sunrise: sunTimes.sunrise,
+        sunset: sunTimes.sunset,
+        temp: {
+          day: highTemp,
+          min: lowTemp,
+          max: highTemp,
+          night: lowTemp,
+          eve: highTemp,
+          morn: lowTemp
+        },
+        feels_like: {
+          day: highTemp,
+          night: lowTemp,
+          eve: highTemp,
+          morn: lowTemp
+        },
+        humidity: agg.avgHumidity,
+        wind_speed: this.helper.convertSpeed(agg.maxWind),
+        wind_gust: this.helper.convertSpeed(agg.maxGust),
+        wind_deg: agg.windDeg,
+        pop: agg.maxPop / 100, // OpenWeather uses 0-1
+        rain: agg.totalRain,
+        snow: agg.totalSnow,
+        weather: [weatherCondition],
+        // EPA data is only available for the current day, the other days are estimated
+        uvi: i === 0 && hasEpaUv
+          ? todayMaxUv
+          : this.estimateDailyMaxUvi(props, date, tz, latitude, longitude, i === 0),
+        uvi_source: i === 0 && hasEpaUv
+          ? "epa"
+          : "model"
+      });
+    }
+
+    return daily;
+  },
+
+  // Build hourly forecast from weather.gov data
+  buildHourlyForecast (props, hourlyPeriods, uvData, timezone, latitude, longitude) {
+    const hourly = [];
+    const now = new Date();
+
+    // Get values by hour from time series
+    const getValueAtHour = (series, targetTime) => {
+      if (!series || !series.values) {
+        return null;
+      }
+      const targetMs = targetTime.getTime();
+
+      for (const item of series.values) {
+        const [start, duration] = this.parseValidTime(item.validTime);
+        const end = new Date(start.getTime() + duration);
+        if (targetMs >= start.getTime() && targetMs < end.getTime()) {
+          return item.value;
+        }
+      }
+      return null;
+    };
+
+    // Share of an accumulation (rain, snow) that falls in the hour; the series gives totals over multi-hour intervals
+    const getAmountAtHour = (series, targetTime) => {
+      if (!series || !series.values) {
+        return null;
+      }
+      const targetMs = targetTime.getTime();
+
+      for (const item of series.values) {
+        const [start, duration] = this.parseValidTime(item.validTime);
+        if (targetMs >= start.getTime() && targetMs < start.getTime() + duration && item.value !== null) {
+          return item.value * 3600000 / duration;
+        }
+      }
+      return null;
+    };
+
+    // Build 48 hours of forecast
+    for (let i = 0; i < 48; i++) {
+      const hourTime = new Date(now);
+      hourTime.setMinutes(0, 0, 0);
+      hourTime.setHours(hourTime.getHours() + i);
+
+      const temp = getValueAtHour(props.temperature, hourTime);
+      const pop = getValueAtHour(props.probabilityOfPrecipitation, hourTime);
+      const wind = getValueAtHour(props.windSpeed, hourTime);
+      const gust = getValueAtHour(props.windGust, hourTime);
+      const humidity = getValueAtHour(props.relativeHumidity, hourTime);
+      const pressure = getValueAtHour(props.pressure, hourTime);
+      const windDir = getValueAtHour(props.windDirection, hourTime);
+      const dewPoint = getValueAtHour(props.dewpoint, hourTime);
+      const visibility = getValueAtHour(props.visibility, hourTime);
+      const rain = getAmountAtHour(props.quantitativePrecipitation, hourTime);
+      const snow = getAmountAtHour(props.snowfallAmount, hourTime);
+      const epaUv = this.getUvAtHour(uvData, hourTime, timezone);
+
+      // Get weather condition from hourly forecast periods
+      const hourlyPeriod = this.findHourlyPeriod(hourlyPeriods, hourTime);
+      const timestamp = Math.floor(hourTime.getTime() / 1000);
+
+      // Day/night for the icon, from the sun times of the hour's own day
+      const sunTimes = this.getSunTimes(hourTime, timezone, latitude, longitude);
+
+      // Use hourly forecast period for weather condition, fallback to gridpoints data
+      const parsedHourlyCondition = hourlyPeriod
+        ? this.parseShortForecast(hourlyPeriod.shortForecast, hourlyPeriod.isDaytime)
+        : null;
+      const weatherCondition = parsedHourlyCondition ||
+        this.mapWeatherCondition(this.getWeatherAtTime(props, hourTime), timestamp, sunTimes.sunrise, sunTimes.sunset);
+
+      const hour = {
+        dt: timestamp,
+        temp,
+        feels_like: getValueAtHour(props.apparentTemperature, hourTime),
+        humidity: humidity || 50,
+        dew_point: dewPoint,
+        pressure: (pressure || 101300) / 100, // Convert Pa to hPa
+        visibility, // meters
+        uvi: epaUv ?? this.estimateUvi(props, hourTime, latitude, longitude),
+        uvi_source: epaUv === null
+          ? "model"
+          : "epa",
+        wind_speed: this.helper.convertSpeed(wind),
+        wind_gust: this.helper.convertSpeed(gust),
+        wind_deg: windDir || 0,
+        pop: (pop || 0) / 100,
+        weather: [weatherCondition]
+      };
+
+      // Like OpenWeather, rain and snow (mm) are only present when there is some
+      if (rain > 0) {
+        hour.rain = {"1h": rain};
+      }
+      if (snow > 0) {
+        hour.snow = {"1h": snow};
+      }
+
+      hourly.push(hour);
+    }
+
+    return hourly;
+  },
+
+  // Build alerts from weather.gov data
+  buildAlerts (alertsData) {
+    if (!alertsData || !alertsData.features || alertsData.features.length === 0) {
+      return [];
+    }
+
+    return alertsData.features.map((feature) => {
+      const props = feature.properties;
+      return {
+        sender_name: props.senderName || "National Weather Service",
+        event: props.event || "Weather Alert",
+        start: props.onset
+          ? Math.floor(new Date(props.onset).getTime() / 1000)
+          : null,
+        end: props.ends
+          ? Math.floor(new Date(props.ends).getTime() / 1000)
+          : null,
+        description: props.description || "",
+        tags: [props.severity, props.urgency, props.certainty].filter(Boolean)
+      };
+    });
+  },
+
+  // A /forecast period's temperature in °C, whichever units the forecast was fetched in
+  getPeriodCelsius (period) {
+    if (typeof period?.temperature !== "number") {
+      return null;
+    }
+    return period.temperatureUnit === "F"
+      ? (period.temperature - 32) * 5 / 9
+      : period.temperature;
+  },
+
+  /**
+   * Build detailed forecast periods for modal display.
+   * Returns all forecast periods from the /forecast API for modal display.
+   * @param {Object} forecastData - Raw forecast data from weather.gov /forecast endpoint
+   * @returns {Array} Array of forecast period objects with name, detailedForecast, shortForecast,
+   *                  temperature, temperatureUnit, isDaytime, icon, and probabilityOfPrecipitation
+   */
+  buildDetailedForecastPeriods (forecastData) {
+    if (!forecastData?.properties?.periods) {
+      return [];
+    }
+
+    // Return all periods (14 periods = 7 days × day/night)
+    return forecastData.properties.periods.map((period) => ({
+      name: period.name,
+      detailedForecast: period.detailedForecast,
+      shortForecast: period.shortForecast,
+      temperature: this.getPeriodCelsius(period),
+      temperatureUnit: "C",
+      isDaytime: period.isDaytime,
+      icon: period.icon,
+      probabilityOfPrecipitation: period.probabilityOfPrecipitation?.value ?? null
+    }));
+  }
+};
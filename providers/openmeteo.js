@@ -0,0 +1,365 @@
+/**
+ ********************************
+ *
+ *Open-Meteo weather provider for MMM-OpenWeatherForecast.
+ *
+ *Uses the Open-Meteo forecast API. No API key required, global
+ *coverage. Open-Meteo does not provide weather alerts.
+ *
+ ********************************
+ */
+
+const Log = require("logger");
+
+// US state names by postal abbreviation, since geocoding results only have the full name
+const US_STATES = {
+  al: "alabama",
+  ak: "alaska",
+  az: "arizona",
+  ar: "arkansas",
+  ca: "california",
+  co: "colorado",
+  ct: "connecticut",
+  de: "delaware",
+  dc: "district of columbia",
+  fl: "florida",
+  ga: "georgia",
+  hi: "hawaii",
+  id: "idaho",
+  il: "illinois",
+  in: "indiana",
+  ia: "iowa",
+  ks: "kansas",
+  ky: "kentucky",
+  la: "louisiana",
+  me: "maine",
+  md: "maryland",
+  ma: "massachusetts",
+  mi: "michigan",
+  mn: "minnesota",
+  ms: "mississippi",
+  mo: "missouri",
+  mt: "montana",
+  ne: "nebraska",
+  nv: "nevada",
+  nh: "new hampshire",
+  nj: "new jersey",
+  nm: "new mexico",
+  ny: "new york",
+  nc: "north carolina",
+  nd: "north dakota",
+  oh: "ohio",
+  ok: "oklahoma",
+  or: "oregon",
+  pa: "pennsylvania",
+  ri: "rhode island",
+  sc: "south carolina",
+  sd: "south dakota",
+  tn: "tennessee",
+  tx: "texas",
+  ut: "utah",
+  vt: "vermont",
+  va: "virginia",
+  wa: "washington",
+  wv: "west virginia",
+  wi: "wisconsin",
+  wy: "wyoming",
+  pr: "puerto rico"
+};
+
+module.exports = {
+  name: "openmeteo",
+  label: "Open-Meteo",
+  capabilities: {
+    alerts: false,
+    minutely: false,
+    uv: true,
+    detailedPeriods: false
+  },
+
+  async fetch (payload) {
+    const {latitude, longitude} = payload;
+
+    const currentVars = [
+      "temperature_2m",
+      "apparent_temperature",
+      "relative_humidity_2m",
+      "dew_point_2m",
+      "is_day",
+      "weather_code",
+      "cloud_cover",
+      "pressure_msl",
+      "visibility",
+      "wind_speed_10m",
+      "wind_direction_10m",
+      "wind_gusts_10m",
+      "uv_index"
+    ];
+    const hourlyVars = [
+      "temperature_2m",
+      "apparent_temperature",
+      "relative_humidity_2m",
+      "dew_point_2m",
+      "precipitation_probability",
+      "rain",
+      "showers",
+      "snowfall",
+      "weather_code",
+      "pressure_msl",
+      "cloud_cover",
+      "visibility",
+      "wind_speed_10m",
+      "wind_direction_10m",
+      "wind_gusts_10m",
+      "uv_index",
+      "is_day"
+    ];
+    const dailyVars = [
+      "weather_code",
+      "temperature_2m_max",
+      "temperature_2m_min",
+      "apparent_temperature_max",
+      "apparent_temperature_min",
+      "sunrise",
+      "sunset",
+      "uv_index_max",
+      "rain_sum",
+      "showers_sum",
+      "snowfall_sum",
+      "precipitation_probability_max",
+      "wind_speed_10m_max",
+      "wind_gusts_10m_max",
+      "wind_direction_10m_dominant"
+    ];
+
+    // Celsius is what we return; km/h is brought to m/s with convertSpeed()
+    const url = "https://api.open-meteo.com/v1/forecast" +
+      `?latitude=${latitude}` +
+      `&longitude=${longitude}` +
+      `&current=${currentVars.join(",")}` +
+      `&hourly=${hourlyVars.join(",")}` +
+      `&daily=${dailyVars.join(",")}` +
+      "&temperature_unit=celsius&wind_speed_unit=kmh&precipitation_unit=mm" +
+      "&timeformat=unixtime&timezone=auto&forecast_days=7";
+
+    Log.debug(`[MMM-OpenWeatherForecast] Fetching Open-Meteo url: ${url}`);
+
+    const response = await this.helper.fetchWithRetry(url);
+
+    if (!response.ok) {
+      Log.error(`[MMM-OpenWeatherForecast] Open-Meteo API error: ${response.status} ${response.statusText}`);
+      throw this.helper.providerError("api", `Open-Meteo API error: ${response.status}`);
+    }
+
+    return this.transformOpenMeteoDataToOpenWeatherFormat(await response.json(), latitude, longitude);
+  },
+
+  /**
+   * Look up a place or postal code with the Open-Meteo Geocoding API. It only searches
+   * by name, so anything after the first comma ("Springfield, IL" or "Paris, France")
+   * is used to pick the result whose region or country matches (US states can be abbreviated).
+   * @param {Object} query - {location} or {postalCode}
+   * @returns {Promise<Object|null>} {latitude, longitude, name, zipcode}, or null if nothing was found
+   */
+  async geocode (query) {
+    const [name, ...qualifiers] = (query.postalCode || query.location).split(",").map((part) => part.trim());
+    const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(name)}&count=10&format=json`;
+
+    const response = await this.helper.fetchWithRetry(url);
+    if (!response.ok) {
+      Log.error(`[MMM-OpenWeatherForecast] Open-Meteo Geocoding API error: ${response.status} ${response.statusText}`);
+      throw this.helper.providerError("api", `Open-Meteo Geocoding API error: ${response.status}`);
+    }
+
+    const results = (await response.json()).results || [];
+    const matches = (result, qualifier) => [result.admin1, result.country, result.country_code]
+      .filter(Boolean)
+      .map((value) => value.toLowerCase())
+      .some((value) => value.startsWith(qualifier.toLowerCase()) || value === US_STATES[qualifier.toLowerCase()]);
+    const place = results.find((result) => qualifiers.every((qualifier) => matches(result, qualifier))) || (qualifiers.length === 0
+      ? results[0]
+      : null);
+    if (!place) {
+      return null;
+    }
+
+    return {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      name: [place.name, place.admin1 || place.country].filter(Boolean).join(", "),
+      zipcode: query.postalCode || (place.postcodes || [])[0] || ""
+    };
+  },
+
+  // Transform Open-Meteo data to OpenWeather format
+  transformOpenMeteoDataToOpenWeatherFormat (omData, latitude, longitude) {
+    const cur = omData.current || {};
+    const hourlyData = omData.hourly || {};
+    const dailyData = omData.daily || {};
+    const hourlyTimes = hourlyData.time || [];
+    const dailyTimes = dailyData.time || [];
+    const nowSec = Math.floor(Date.now() / 1000);
+
+    // Mean of an hourly series between two timestamps (used for daily humidity, pressure, dew point)
+    const hourlyMean = (series, startSec, endSec) => {
+      const values = (hourlyData[series] || []).filter((value, idx) => value !== null && hourlyTimes[idx] >= startSec && hourlyTimes[idx] < endSec);
+      return values.length > 0
+        ? values.reduce((sum, v) => sum + v, 0) / values.length
+        : null;
+    };
+
+    const daily = dailyTimes.map((dayStart, i) => {
+      const dayEnd = dailyTimes[i + 1] ?? dayStart + 86400;
+      const high = dailyData.temperature_2m_max?.[i] ?? null;
+      const low = dailyData.temperature_2m_min?.[i] ?? null;
+      const feelsHigh = dailyData.apparent_temperature_max?.[i] ?? null;
+      const feelsLow = dailyData.apparent_temperature_min?.[i] ?? null;
+      const dewPoint = hourlyMean("dew_point_2m", dayStart, dayEnd);
+      const pressure = hourlyMean("pressure_msl", dayStart, dayEnd);
+
+      return {
+        dt: dayStart + 43200, // Local noon, matching OpenWeather daily entries
+        sunrise: dailyData.sunrise?.[i] ?? null,
+        sunset: dailyData.sunset?.[i] ?? null,
+        temp: {
+          day: high,
+          min: low,
+          max: high,
+          night: low,
+          eve: high,
+          morn: low
+        },
+        feels_like: {
+          day: feelsHigh,
+          night: feelsLow,
+          eve: feelsHigh,
+          morn: feelsLow
+        },
+        humidity: hourlyMean("relative_humidity_2m", dayStart, dayEnd) ?? 50,
+        dew_point: dewPoint,
+        pressure: pressure ?? 1013,
+        wind_speed: this.helper.convertSpeed(dailyData.wind_speed_10m_max?.[i] ?? null),
+        wind_gust: this.helper.convertSpeed(dailyData.wind_gusts_10m_max?.[i] ?? null),
+        wind_deg: dailyData.wind_direction_10m_dominant?.[i] ?? 0,
+        pop: (dailyData.precipitation_probability_max?.[i] ?? 0) / 100, // OpenWeather uses 0-1
+        rain: (dailyData.rain_sum?.[i] || 0) + (dailyData.showers_sum?.[i] || 0),
+        snow: (dailyData.snowfall_sum?.[i] || 0) * 10, // Open-Meteo reports snowfall in cm
+        weather: [this.mapWmoWeatherCode(dailyData.weather_code?.[i], true)],
+        uvi: dailyData.uv_index_max?.[i] ?? 0
+      };
+    });
+
+    // Start hourly forecast at the current hour, 48 hours like One Call
+    const firstHour = Math.max(0, hourlyTimes.findIndex((t) => t + 3600 > nowSec));
+    const hourly = [];
+    for (let i = firstHour; i < hourlyTimes.length && hourly.length < 48; i++) {
+      const rain = (hourlyData.rain?.[i] || 0) + (hourlyData.showers?.[i] || 0);
+      const snow = (hourlyData.snowfall?.[i] || 0) * 10;
+      const hour = {
+        dt: hourlyTimes[i],
+        temp: hourlyData.temperature_2m?.[i] ?? null,
+        feels_like: hourlyData.apparent_temperature?.[i] ?? null,
+        humidity: hourlyData.relative_humidity_2m?.[i] ?? 50,
+        dew_point: hourlyData.dew_point_2m?.[i] ?? null,
+        pressure: hourlyData.pressure_msl?.[i] ?? 1013,
+        clouds: hourlyData.cloud_cover?.[i] ?? 0,
+        visibility: hourlyData.visibility?.[i] ?? null,
+        wind_speed: this.helper.convertSpeed(hourlyData.wind_speed_10m?.[i] ?? null),
+        wind_gust: this.helper.convertSpeed(hourlyData.wind_gusts_10m?.[i] ?? null),
+        wind_deg: hourlyData.wind_direction_10m?.[i] ?? 0,
+        pop: (hourlyData.precipitation_probability?.[i] ?? 0) / 100,
+        uvi: hourlyData.uv_index?.[i] ?? 0,
+        weather: [this.mapWmoWeatherCode(hourlyData.weather_code?.[i], hourlyData.is_day?.[i] !== 0)]
+      };
+      if (rain > 0) {
+        hour.rain = {"1h": rain};
+      }
+      if (snow > 0) {
+        hour.snow = {"1h": snow};
+      }
+      hourly.push(hour);
+    }
+
+    const current = {
+      dt: cur.time ?? nowSec,
+      temp: cur.temperature_2m ?? null,
+      feels_like: cur.apparent_temperature ?? null,
+      humidity: cur.relative_humidity_2m ?? null,
+      dew_point: cur.dew_point_2m ?? null,
+      pressure: cur.pressure_msl ?? null,
+      visibility: cur.visibility ?? null,
+      wind_speed: this.helper.convertSpeed(cur.wind_speed_10m ?? null),
+      wind_gust: this.helper.convertSpeed(cur.wind_gusts_10m ?? null),
+      wind_deg: cur.wind_direction_10m ?? null,
+      uvi: cur.uv_index ?? 0,
+      clouds: cur.cloud_cover ?? null,
+      sunrise: daily[0]?.sunrise ?? null,
+      sunset: daily[0]?.sunset ?? null,
+      weather: [this.mapWmoWeatherCode(cur.weather_code, cur.is_day !== 0)]
+    };
+
+    return {
+      lat: latitude,
+      lon: longitude,
+      timezone: omData.timezone || "UTC",
+      timezone_offset: omData.utc_offset_seconds || 0,
+      current,
+      daily,
+      hourly,
+      alerts: [] // Open-Meteo does not provide weather alerts
+    };
+  },
+
+  /**
+   * Map a WMO weather interpretation code (as used by Open-Meteo) to an
+   * OpenWeather-style condition so iconMap works unchanged.
+   * Code table: https://open-meteo.com/en/docs#weather_variable_documentation
+   * @param {number} code - WMO weather code (0-99)
+   * @param {boolean} isDay - Whether it's daytime
+   * @returns {Object} Weather condition object matching OpenWeather format
+   */
+  mapWmoWeatherCode (code, isDay = true) {
+    const dayNight = isDay
+      ? "d"
+      : "n";
+
+    const conditions = {
+      0: {id: 800, main: "Clear", description: "clear sky", icon: "01"},
+      1: {id: 801, main: "Clouds", description: "mainly clear", icon: "02"},
+      2: {id: 802, main: "Clouds", description: "partly cloudy", icon: "03"},
+      3: {id: 804, main: "Clouds", description: "overcast", icon: "04"},
+      45: {id: 741, main: "Fog", description: "fog", icon: "50"},
+      48: {id: 741, main: "Fog", description: "depositing rime fog", icon: "50"},
+      51: {id: 300, main: "Drizzle", description: "light drizzle", icon: "09"},
+      53: {id: 301, main: "Drizzle", description: "moderate drizzle", icon: "09"},
+      55: {id: 302, main: "Drizzle", description: "dense drizzle", icon: "09"},
+      56: {id: 611, main: "Sleet", description: "light freezing drizzle", icon: "13"},
+      57: {id: 611, main: "Sleet", description: "dense freezing drizzle", icon: "13"},
+      61: {id: 500, main: "Rain", description: "slight rain", icon: "10"},
+      63: {id: 501, main: "Rain", description: "moderate rain", icon: "10"},
+      65: {id: 502, main: "Rain", description: "heavy rain", icon: "10"},
+      66: {id: 511, main: "Sleet", description: "light freezing rain", icon: "13"},
+      67: {id: 511, main: "Sleet", description: "heavy freezing rain", icon: "13"},
+      71: {id: 600, main: "Snow", description: "slight snow fall", icon: "13"},
+      73: {id: 601, main: "Snow", description: "moderate snow fall", icon: "13"},
+      75: {id: 602, main: "Snow", description: "heavy snow fall", icon: "13"},
+      77: {id: 600, main: "Snow", description: "snow grains", icon: "13"},
+      80: {id: 520, main: "Rain", description: "slight rain showers", icon: "09"},
+      81: {id: 521, main: "Rain", description: "moderate rain showers", icon: "09"},
+      82: {id: 522, main: "Rain", description: "violent rain showers", icon: "09"},
+      85: {id: 620, main: "Snow", description: "slight snow showers", icon: "13"},
+      86: {id: 622, main: "Snow", description: "heavy snow showers", icon: "13"},
+      95: {id: 211, main: "Thunderstorm", description: "thunderstorm", icon: "11"},
+      96: {id: 201, main: "Thunderstorm", description: "thunderstorm with slight hail", icon: "11"},
+      99: {id: 202, main: "Thunderstorm", description: "thunderstorm with heavy hail", icon: "11"}
+    };
+
+    const condition = conditions[code] || conditions[0];
+    return {
+      id: condition.id,
+      main: condition.main,
+      description: condition.description,
+      icon: `${condition.icon}${dayNight}`
+    };
+  }
+};
@@ -0,0 +1,450 @@
+/**
+ ********************************
+ *
+ *OpenWeather weather provider for MMM-OpenWeatherForecast.
+ *
+ *Uses the OpenWeather One Call API 3.0, which requires an API key.
+ *The data is passed through as-is since the module's normalized
+ *payload is modeled on the One Call response.
+ *Keys without One Call access can use the free 2.5 current weather
+ *and 5 day / 3 hour forecast APIs instead, which are converted to
+ *the One Call structure (without UV index, minutely data or alerts).
+ *
+ ********************************
+ */
+
+const Log = require("logger");
+const moment = require("moment-timezone");
+
+const AIR_POLLUTION_URL = "https://api.openweathermap.org/data/2.5/air_pollution";
+const WEATHER_URL = "https://api.openweathermap.org/data/2.5/weather";
+const FORECAST_URL = "https://api.openweathermap.org/data/2.5/forecast";
+const GEOCODING_URL = "https://api.openweathermap.org/geo/1.0";
+const AQI_LABELS = ["Good", "Fair", "Moderate", "Poor", "Very Poor"];
+
+// Upper limits of OpenWeather's Good, Fair, Moderate and Poor bands in μg/m³
+const POLLUTANT_LIMITS = {
+  pm2_5: {name: "PM2.5", limits: [10, 25, 50, 75]},
+  pm10: {name: "PM10", limits: [20, 50, 100, 200]},
+  o3: {name: "O₃", limits: [60, 100, 140, 180]},
+  no2: {name: "NO₂", limits: [40, 70, 150, 200]},
+  so2: {name: "SO₂", limits: [20, 80, 250, 350]},
+  co: {name: "CO", limits: [4400, 9400, 12400, 15400]}
+};
+
+module.exports = {
+  name: "openweather",
+  label: "OpenWeather",
+  capabilities: {
+    alerts: true,
+    minutely: true,
+    uv: true,
+    detailedPeriods: false,
+    airQuality: true
+  },
+
+  // Hashes of API keys that got a 401 from One Call 3.0 with openweatherApiVersion "auto"
+  freeTierKeys: new Set(),
+
+  async fetch (payload) {
+    if (payload.apikey === null || payload.apikey === "") {
+      Log.error(`[MMM-OpenWeatherForecast] ${moment().format("D-MMM-YY HH:mm")} ** ERROR ** No API key found for "${payload.apikeyRef}" in the environment or secrets.json. Get an API key at https://openweathermap.org/`);
+      throw this.helper.providerError("config", "No API key configured");
+    }
+
+    if (payload.openweatherApiVersion === "2.5" || (payload.openweatherApiVersion === "auto" && this.freeTierKeys.has(this.helper.hashApiKey(payload.apikey)))) {
+      return this.fetchFreeTier(payload);
+    }
+
+    const url = `${payload.apiBaseURL
+    }lat=${payload.latitude
+    }&lon=${payload.longitude
+    }&appid=${payload.apikey
+    }&units=metric&lang=${payload.language}`;
+
+    // Refuse to go over the daily budget, so a fallback provider (if any) is used instead
+    const usage = this.helper.getApiUsage(payload.apikey);
+    if (payload.dailyCallBudget > 0 && usage.calls >= payload.dailyCallBudget) {
+      Log.warn(`[MMM-OpenWeatherForecast] Daily OpenWeather call budget of ${payload.dailyCallBudget} reached, not fetching until 00:00 UTC`);
+      throw this.helper.providerError("api", `Daily call budget of ${payload.dailyCallBudget} reached`);
+    }
+
+    Log.debug(`[MMM-OpenWeatherForecast] Fetching OpenWeather url: ${url.replace(/appid=[^&]*/u, "appid=<redacted>")}`);
+
+    // Retries are billed too, so every attempt is counted
+    const response = await this.helper.fetchWithRetry(url, {}, 2, 15000, () => this.helper.recordApiCall(payload.apikey));
+
+    if (response.status === 401 && payload.openweatherApiVersion === "auto") {
+      Log.warn("[MMM-OpenWeatherForecast] API key has no One Call 3.0 access, using the OpenWeather 2.5 API until restart");
+      this.freeTierKeys.add(this.helper.hashApiKey(payload.apikey));
+      return this.fetchFreeTier(payload);
+    }
+
+    if (!response.ok) {
+      Log.error(`[MMM-OpenWeatherForecast] OpenWeather API error: ${response.status} ${response.statusText}`);
+      throw this.helper.providerError("api", `OpenWeather API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (payload.airQuality) {
+      await this.addAirQuality(data, payload);
+    }
+
+    return data;
+  },
+
+  /**
+   * Look up a place with the OpenWeather Geocoding API. Locations are "city",
+   * "city, country" or "city, state, country" (the state only works for the US),
+   * postal codes "zip" or "zip, country" (US if no country is given).
+   * @param {Object} query - {location} or {postalCode}
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload, for the API key
+   * @returns {Promise<Object|null>} {latitude, longitude, name, zipcode}, or null if nothing was found
+   */
+  async geocode (query, payload) {
+    if (payload.apikey === null || payload.apikey === "") {
+      throw this.helper.providerError("config", "No API key configured");
+    }
+
+    const url = query.postalCode
+      ? `${GEOCODING_URL}/zip?zip=${encodeURIComponent(query.postalCode)}&appid=${payload.apikey}`
+      : `${GEOCODING_URL}/direct?q=${encodeURIComponent(query.location)}&limit=1&appid=${payload.apikey}`;
+
+    const response = await this.helper.fetchWithRetry(url);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      Log.error(`[MMM-OpenWeatherForecast] OpenWeather Geocoding API error: ${response.status} ${response.statusText}`);
+      throw this.helper.providerError("api", `OpenWeather Geocoding API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    const place = Array.isArray(result)
+      ? result[0]
+      : result;
+    if (!place) {
+      return null;
+    }
+
+    return {
+      latitude: place.lat,
+      longitude: place.lon,
+      name: [place.name, place.state || place.country].filter(Boolean).join(", "),
+      zipcode: place.zip || ""
+    };
+  },
+
+  /**
+   * Name the place at the coordinates with the OpenWeather reverse geocoding API.
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload, for the API key
+   * @returns {Promise<string|null>} "City, State" (or country), or null without an API key or result
+   */
+  async reverseGeocode (latitude, longitude, payload) {
+    if (payload.apikey === null || payload.apikey === "") {
+      return null;
+    }
+
+    const response = await this.helper.fetchWithRetry(`${GEOCODING_URL}/reverse?lat=${latitude}&lon=${longitude}&limit=1&appid=${payload.apikey}`);
+    if (!response.ok) {
+      throw this.helper.providerError("api", `OpenWeather Geocoding API error: ${response.status}`);
+    }
+
+    const [place] = await response.json();
+    return place
+      ? [place.name, place.state || place.country].filter(Boolean).join(", ")
+      : null;
+  },
+
+  /**
+   * Fetch from the free 2.5 current weather and 5 day / 3 hour forecast APIs.
+   * These calls don't count against dailyCallBudget.
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   * @returns {Promise<Object>} The data in the One Call structure
+   */
+  async fetchFreeTier (payload) {
+    const query = `?lat=${payload.latitude
+    }&lon=${payload.longitude
+    }&appid=${payload.apikey
+    }&units=metric&lang=${payload.language}`;
+
+    Log.debug(`[MMM-OpenWeatherForecast] Fetching OpenWeather 2.5 url: ${FORECAST_URL}${query.replace(/appid=[^&]*/u, "appid=<redacted>")}`);
+
+    const [weatherResponse, forecastResponse] = await Promise.all([
+      this.helper.fetchWithRetry(`${WEATHER_URL}${query}`),
+      this.helper.fetchWithRetry(`${FORECAST_URL}${query}`)
+    ]);
+
+    for (const response of [weatherResponse, forecastResponse]) {
+      if (!response.ok) {
+        Log.error(`[MMM-OpenWeatherForecast] OpenWeather 2.5 API error: ${response.status} ${response.statusText}`);
+        throw this.helper.providerError("api", `OpenWeather API error: ${response.status}`);
+      }
+    }
+
+    const data = this.transformFreeTierData(await weatherResponse.json(), await forecastResponse.json());
+
+    if (payload.airQuality) {
+      await this.addAirQuality(data, payload);
+    }
+
+    return data;
+  },
+
+  /**
+   * Convert the 2.5 responses to the One Call structure. Hourly entries are interpolated
+   * between the 3-hour steps, and daily entries are aggregated from the steps of each
+   * local day, which gives 5 or 6 days. The capabilities returned with the data hide
+   * the sections the 2.5 API has no data for.
+   * @param {Object} weather - The current weather response
+   * @param {Object} forecast - The 5 day / 3 hour forecast response
+   * @returns {Object} The data in the One Call structure
+   */
+  transformFreeTierData (weather, forecast) {
+    const timezoneOffset = forecast.city?.timezone ?? weather.timezone ?? 0;
+    const now = this.normalizeFreeTierEntry(weather, "1h");
+    const steps = forecast.list.map((entry) => this.normalizeFreeTierEntry(entry, "3h"));
+
+    const current = {
+      ...now,
+      sunrise: weather.sys?.sunrise,
+      sunset: weather.sys?.sunset
+    };
+    delete current.pop;
+    this.setPrecipitation(current, now, 1);
+
+    return {
+      lat: weather.coord.lat,
+      lon: weather.coord.lon,
+      timezone_offset: timezoneOffset,
+      current,
+      hourly: this.buildFreeTierHourly(now, steps),
+      daily: this.buildFreeTierDaily(now, steps, timezoneOffset),
+      alerts: [],
+      capabilities: {
+        alerts: false,
+        minutely: false,
+        uv: false
+      }
+    };
+  },
+
+  // Flatten a 2.5 current weather or forecast entry; rain and snow hold the amount for the entry's period
+  normalizeFreeTierEntry (entry, period) {
+    return {
+      dt: entry.dt,
+      temp: entry.main.temp,
+      feels_like: entry.main.feels_like,
+      pressure: entry.main.pressure,
+      humidity: entry.main.humidity,
+      dew_point: this.getDewPoint(entry.main.temp, entry.main.humidity),
+      clouds: entry.clouds?.all ?? 0,
+      visibility: entry.visibility,
+      wind_speed: entry.wind?.speed ?? 0,
+      wind_deg: entry.wind?.deg ?? 0,
+      wind_gust: entry.wind?.gust ?? null,
+      pop: entry.pop ?? 0,
+      rain: entry.rain?.[period] ?? 0,
+      snow: entry.snow?.[period] ?? 0,
+      weather: entry.weather
+    };
+  },
+
+  // Like One Call, rain and snow (mm in the last hour) are only present when there is some
+  setPrecipitation (target, entry, hours) {
+    delete target.rain;
+    delete target.snow;
+    if (entry.rain > 0) {
+      target.rain = {"1h": entry.rain / hours};
+    }
+    if (entry.snow > 0) {
+      target.snow = {"1h": entry.snow / hours};
+    }
+  },
+
+  /*
+   * 48 hourly entries from the current hour on. Temperature, pressure and the other
+   * continuous values are interpolated between the current conditions and the 3-hour
+   * steps. Each step's weather, pop and precipitation cover the three hours from its dt.
+   */
+  buildFreeTierHourly (now, steps) {
+    const points = [now, ...steps];
+    const lastDt = steps[steps.length - 1].dt;
+    const hourly = [];
+
+    for (let dt = Math.floor(now.dt / 3600) * 3600; dt < lastDt && hourly.length < 48; dt += 3600) {
+      const nextIndex = Math.max(points.findIndex((point) => point.dt > dt), 1);
+      const before = points[nextIndex - 1];
+      const after = points[nextIndex];
+      const fraction = Math.min(Math.max((dt - before.dt) / (after.dt - before.dt), 0), 1);
+      const interpolate = (key) => {
+        if (typeof before[key] !== "number" || typeof after[key] !== "number") {
+          return after[key] ?? before[key];
+        }
+        return before[key] + (after[key] - before[key]) * fraction;
+      };
+      const step = steps.findLast((entry) => entry.dt <= dt) || steps[0];
+
+      const hour = {
+        dt,
+        temp: interpolate("temp"),
+        feels_like: interpolate("feels_like"),
+        pressure: interpolate("pressure"),
+        humidity: interpolate("humidity"),
+        dew_point: interpolate("dew_point"),
+        clouds: interpolate("clouds"),
+        visibility: interpolate("visibility"),
+        wind_speed: interpolate("wind_speed"),
+        wind_gust: interpolate("wind_gust"),
+        wind_deg: step.wind_deg,
+        pop: step.pop,
+        weather: step.weather
+      };
+      this.setPrecipitation(hour, step, 3);
+      hourly.push(hour);
+    }
+
+    return hourly;
+  },
+
+  /*
+   * One entry per local day, from the current conditions and the 3-hour steps of that day.
+   * The weather and wind direction are those of the step closest to noon.
+   */
+  buildFreeTierDaily (now, steps, timezoneOffset) {
+    const days = new Map();
+    for (const entry of [now, ...steps]) {
+      const date = moment.unix(entry.dt).utcOffset(timezoneOffset / 60)
+        .format("YYYY-MM-DD");
+      if (!days.has(date)) {
+        days.set(date, []);
+      }
+      days.get(date).push(entry);
+    }
+
+    return [...days].map(([date, entries]) => {
+      const noon = moment.utc(date).hour(12)
+        .unix() - timezoneOffset;
+      // The entry closest to the given local hour
+      const at = (hour) => entries.reduce((best, entry) => (Math.abs(entry.dt - noon - (hour - 12) * 3600) < Math.abs(best.dt - noon - (hour - 12) * 3600)
+        ? entry
+        : best));
+      const values = (key) => entries.map((entry) => entry[key]).filter((value) => typeof value === "number");
+      const average = (key) => values(key).reduce((sum, value) => sum + value, 0) / values(key).length;
+      // The current conditions' rain and snow overlap the first step, so only steps are summed
+      const total = (key) => entries.filter((entry) => entry !== now).reduce((sum, entry) => sum + entry[key], 0);
+      const gusts = values("wind_gust");
+      const midday = at(12);
+
+      return {
+        dt: noon,
+        temp: {
+          day: midday.temp,
+          min: Math.min(...values("temp")),
+          max: Math.max(...values("temp")),
+          night: at(0).temp,
+          eve: at(18).temp,
+          morn: at(6).temp
+        },
+        feels_like: {
+          day: midday.feels_like,
+          night: at(0).feels_like,
+          eve: at(18).feels_like,
+          morn: at(6).feels_like
+        },
+        pressure: Math.round(average("pressure")),
+        humidity: Math.round(average("humidity")),
+        dew_point: average("dew_point"),
+        clouds: Math.round(average("clouds")),
+        wind_speed: Math.max(...values("wind_speed")),
+        wind_gust: gusts.length > 0
+          ? Math.max(...gusts)
+          : null,
+        wind_deg: midday.wind_deg,
+        pop: Math.max(...values("pop")),
+        rain: total("rain"),
+        snow: total("snow"),
+        weather: midday.weather
+      };
+    });
+  },
+
+  // Dew point from temperature and relative humidity (Magnus formula), since the 2.5 API has none
+  getDewPoint (celsius, humidity) {
+    if (typeof celsius !== "number" || !humidity) {
+      return null;
+    }
+    const gamma = Math.log(humidity / 100) + 17.62 * celsius / (243.12 + celsius);
+    return 243.12 * gamma / (17.62 - gamma);
+  },
+
+  /**
+   * Add air_quality to the current conditions and the hourly forecast, using the
+   * Air Pollution API. These calls are free and don't count against dailyCallBudget.
+   * The forecast is still usable without air quality, so failures are only logged.
+   * @param {Object} data - The One Call response
+   * @param {Object} payload - The OPENWEATHER_FORECAST_GET payload
+   */
+  async addAirQuality (data, payload) {
+    const query = `?lat=${payload.latitude}&lon=${payload.longitude}&appid=${payload.apikey}`;
+
+    try {
+      const [currentResponse, forecastResponse] = await Promise.all([
+        this.helper.fetchWithRetry(`${AIR_POLLUTION_URL}${query}`),
+        this.helper.fetchWithRetry(`${AIR_POLLUTION_URL}/forecast${query}`)
+      ]);
+
+      if (!currentResponse.ok || !forecastResponse.ok) {
+        Log.warn(`[MMM-OpenWeatherForecast] OpenWeather air pollution API error: ${currentResponse.status}/${forecastResponse.status}`);
+        return;
+      }
+
+      const current = await currentResponse.json();
+      const forecast = await forecastResponse.json();
+
+      if (current.list && current.list.length > 0) {
+        data.current.air_quality = this.normalizeAirQuality(current.list[0]);
+      }
+
+      const forecastByHour = {};
+      for (const entry of forecast.list || []) {
+        forecastByHour[entry.dt] = entry;
+      }
+      for (const hour of data.hourly || []) {
+        if (forecastByHour[hour.dt]) {
+          hour.air_quality = this.normalizeAirQuality(forecastByHour[hour.dt]);
+        }
+      }
+    } catch (error) {
+      Log.warn(`[MMM-OpenWeatherForecast] OpenWeather air pollution fetch error: ${error}`);
+    }
+  },
+
+  // Convert an Air Pollution API entry to the module's air_quality object
+  normalizeAirQuality (entry) {
+    return {
+      aqi: entry.main.aqi,
+      level: entry.main.aqi, // 1 (good) to 5 (very poor)
+      label: AQI_LABELS[entry.main.aqi - 1],
+      pollutant: this.getDominantPollutant(entry.components || {}),
+      scale: "openweather"
+    };
+  },
+
+  // The pollutant that is furthest into its bands, relative to the upper limit of "Moderate"
+  getDominantPollutant (components) {
+    let dominant = null;
+    let highestRatio = 0;
+    for (const [key, pollutant] of Object.entries(POLLUTANT_LIMITS)) {
+      const ratio = (components[key] || 0) / pollutant.limits[2];
+      if (ratio > highestRatio) {
+        highestRatio = ratio;
+        dominant = pollutant.name;
+      }
+    }
+    return dominant;
+  }
+};